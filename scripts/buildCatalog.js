@@ -0,0 +1,25 @@
+// --- Bundled catalog: scripts/buildCatalog.js ---
+// Refreshes questionCount and checksum in public/banks/manifest.json from the bank
+// files next to it. Run `npm run catalog` after editing a bundled bank, and bump
+// that bank's version and the manifest version so returning users get notified.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const BANKS_DIR = path.join(__dirname, '..', 'public', 'banks');
+const MANIFEST_PATH = path.join(BANKS_DIR, 'manifest.json');
+
+const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+
+manifest.banks = manifest.banks.map((entry) => {
+  const content = fs.readFileSync(path.join(BANKS_DIR, entry.file));
+  const checksum = `sha256-${crypto.createHash('sha256').update(content).digest('hex')}`;
+  // Case groups count as the questions inside them, as in expandQuestionRecords.
+  const questionCount = JSON.parse(content.toString('utf8'))
+    .reduce((count, record) => count + (record.type === 'case' ? (record.questions || []).length : 1), 0);
+  if (checksum !== entry.checksum) console.log(`${entry.file}: checksum updated (version ${entry.version})`);
+  return { ...entry, questionCount, checksum };
+});
+
+fs.writeFileSync(MANIFEST_PATH, `${JSON.stringify(manifest, null, 2)}\n`);
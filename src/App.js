@@ -1,55 +1,305 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import { create } from 'zustand';
+import { persist, createJSONStorage } from 'zustand/middleware';
+import { Routes, Route, Link, Navigate, useNavigate, useParams, useLocation } from 'react-router-dom';
+import { validateQuestions } from './utils/validateQuestions';
+import { groupCases, hasAnswer, scoredAnswer, answerCredit, isCorrectAnswer, isChoiceType, questionType, toggleOption, formatAnswer, formatCorrectAnswer } from './utils/questionTypes';
+import { mergeBanks } from './utils/mergeBanks';
+import { reviewCard, selectReviewQuestions, summarizeDue } from './utils/spacedRepetition';
+import { newSeed, parseSeed, createRandom, seededShuffle } from './utils/seededRandom';
+import { HISTORY_FILTERS, DEFAULT_CUSTOM_QUIZ, presetSettings, totalCount, customQuizPool, availableInTopic, buildCustomQuiz } from './utils/quizBuilder';
+import { renderMarkdown } from './utils/markdown';
+import { groupStats, timingSummary, rankByTime, breakEvenAccuracy } from './utils/performance';
+import { toDraft, newDraft, fromDraft, changeType, setOption, removeOption, validateDraft, uniqueId, searchQuestions, saveToBank, duplicateInBank, deleteFromBank, recategorizeInBank } from './utils/questionEditor';
+import { explanationKey, getCachedExplanation, enrichQuestions } from './utils/explanationCache';
+import { downloadFile, downloadJson } from './utils/download';
+import { AttemptImportError, responseResult, responsesToCsv, topicAnalysisToCsv, exportAttempts, attemptFileName, parseAttemptExport, compareAttempts } from './utils/attemptExport';
+import { configToSearch, configFromSearch } from './utils/quizUrl';
+import { fetchCatalog, fetchCatalogBank, findCatalogUpdates } from './utils/bankCatalog';
+import { createQuotaSafeStorage } from './utils/quotaStorage';
+import { DEFAULT_AI_SETTINGS, AI_PROVIDERS, AI_SETTING_LIMITS, clampAiSetting, AIError, AIConfigError, generateText, isAIConfigured, isLocalProvider } from './utils/aiClient';
+import { DEFAULT_RULES, EXAM_PROFILES, getExamProfile, buildExamPaper } from './utils/examProfiles';
+import { QUESTION_FIELDS, detectDelimiter, parseDelimited, guessColumnMapping, isMappingComplete, rowsToQuestions } from './utils/importCsv';
+
+// A saved 100-question mock exam takes about 65 KB, so 30 of them (about 2 MB) leave
+// room for the banks in the usual 5 MB localStorage quota. Older attempts are dropped;
+// if storage fills up anyway, handleStorageFull makes room.
+const MAX_SAVED_ATTEMPTS = 30;
+
+// A save didn't fit in localStorage (see utils/quotaStorage.js). The attempts dropped to
+// make it fit go from memory too, and the user is told either way.
+const handleStorageFull = ({ state, dropped, saved }) => {
+  if (!saved) {
+    const storageNotice = 'Browser storage is full, so your progress is not being saved. Delete banks you no longer use or clear your history to make room.';
+    // Saving the notice fails as well; setting it once is enough
+    if (useQuizStore.getState().storageNotice !== storageNotice) useQuizStore.setState({ storageNotice });
+    return;
+  }
+  const oldest = (count, kind) => (count === 1 ? `the oldest ${kind} attempt` : `the ${count} oldest ${kind} attempts`);
+  const removed = [
+    dropped.attempts && oldest(dropped.attempts, 'saved'),
+    dropped.importedAttempts && oldest(dropped.importedAttempts, 'imported'),
+  ].filter(Boolean).join(' and ');
+  useQuizStore.setState({
+    attempts: state.attempts,
+    importedAttempts: state.importedAttempts,
+    storageNotice: `Browser storage was full, so ${removed} had to be removed. Export your history from Your Progress to keep a copy.`,
+  });
+};
+
+// Due counts are read on every render of the home page, so they are only worked out
+// again when the questions or their memory change.
+let lastDue = { questions: null, memory: null, summary: null };
+const dueSummaryFor = (questions, memory) => {
+  if (lastDue.questions !== questions || lastDue.memory !== memory) {
+    lastDue = { questions, memory, summary: summarizeDue(questions, memory) };
+  }
+  return lastDue.summary;
+};
+
+// Derived library state; also run on rehydrate since the merged pool isn't persisted.
+const buildLibrary = (banks) => {
+  const { questions, conflicts, duplicateCount } = mergeBanks(banks);
+  return { allQuestions: questions, bankConflicts: conflicts, duplicateCount };
+};
+
+const sameAnswer = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const openVisit = (question, now) => ({ startedAt: now, answer: question ? question.userAnswer : null });
+
+// Sets a new answer. A pick on a single-choice style question is a whole answer, so
+// replacing one pick with a different one counts as a change straight away, and the
+// first pick is kept as initialAnswer to tell changes for the better from worse.
+// Multi-select and numeric answers are built up a click or keystroke at a time, so
+// their changes are counted per visit by leaveQuestion instead.
+const withAnswer = (question, answer) => {
+  const next = { ...question, userAnswer: answer };
+  if (!isChoiceType(question) || !hasAnswer(answer)) return next;
+  if (next.initialAnswer === undefined) next.initialAnswer = answer;
+  if (hasAnswer(question.userAnswer) && !sameAnswer(question.userAnswer, answer)) next.answerChanges = (question.answerChanges || 0) + 1;
+  return next;
+};
+
+// Ends the visit to the current question and adds the time spent on it. A multi-select
+// or numeric question counts an answer change when it is left with a different answer
+// from the one it was opened with, and keeps the first answer it was left with as initialAnswer.
+const leaveQuestion = ({ questions, currentQuestionIndex, questionVisit }, now) => {
+  const current = questions[currentQuestionIndex];
+  if (!current || !questionVisit) return questions;
+  const changed = !isChoiceType(current) && hasAnswer(questionVisit.answer) && !sameAnswer(questionVisit.answer, current.userAnswer);
+  const tracked = {
+    ...current,
+    timeSpentMs: (current.timeSpentMs || 0) + Math.max(0, now - questionVisit.startedAt),
+    answerChanges: (current.answerChanges || 0) + (changed ? 1 : 0),
+  };
+  if (tracked.initialAnswer === undefined && hasAnswer(current.userAnswer)) tracked.initialAnswer = current.userAnswer;
+  return questions.map((q, i) => (i === currentQuestionIndex ? tracked : q));
+};
 
 // --- The Zustand Store: store/quizStore.js ---
 // Now includes a place to store the dynamically loaded questions.
-export const useQuizStore = create((set, get) => ({
-  allQuestions: [], // Will be populated from the user's file
+// The question library and any in-progress session are persisted to localStorage
+// so a reload or closed tab doesn't lose the test.
+export const useQuizStore = create(persist((set, get) => ({
+  banks: [], // Named question banks; the enabled ones are merged into allQuestions
+  allQuestions: [], // Deduped pool of every enabled bank
+  bankConflicts: [],
+  duplicateCount: 0,
   questions: [],
   currentQuestionIndex: 0,
   isTestRunning: false,
   startTime: 0,
   finalResults: null,
   testDurationMinutes: 0,
+  quizConfig: null,
+  scoringRules: DEFAULT_RULES, // Negative marking and pass mark for the running test
+  attempts: [], // Every submitted test, oldest first
+  memory: {}, // Spaced-repetition card per question id
+  practiceQueue: [], // Practice mode: indices still to come, wrong answers go back on the end
+  questionVisit: null, // { startedAt, answer } for the question on screen; not persisted
+  aiSettings: DEFAULT_AI_SETTINGS, // Provider choice and credentials, kept in this browser only
+  aiExplanationCache: {}, // Generated explanations keyed by explanationKey(question, userAnswer)
+  seenCatalogVersion: null, // Bundled catalog manifest version the user was last told about
+  traineeName: '', // Name put on printed reports and exports
+  importedAttempts: [], // Attempts imported from other exports for comparison, each with an importKey
+  quizPresets: [], // Saved custom quiz settings, { name, settings }
+  storageNotice: null, // Set when a save hit the storage quota; not persisted
 
-  loadQuestions: (questions) => {
-    // This new action will be called when a file is loaded
-    set({ allQuestions: questions });
+  loadQuestions: (questions, name = 'Question Bank', source = {}) => {
+    // Called when a file is loaded. Re-importing a bank with the same name replaces it.
+    // source is { catalogId, catalogVersion } for banks loaded from the bundled catalog.
+    const existing = get().banks.find(b => b.name === name);
+    const bank = {
+      // Two banks loaded in the same millisecond still get their own ids
+      id: existing ? existing.id : uniqueId(`bank-${Date.now()}`, new Set(get().banks.map(b => b.id))),
+      name,
+      questions,
+      enabled: true,
+      importedAt: new Date().toISOString(),
+      ...source,
+    };
+    const banks = existing
+      ? get().banks.map(b => (b.id === existing.id ? bank : b))
+      : [...get().banks, bank];
+    set({ banks, ...buildLibrary(banks) });
   },
 
-  startQuiz: (config) => {
+  toggleBank: (bankId) => {
+    const banks = get().banks.map(b => (b.id === bankId ? { ...b, enabled: !b.enabled } : b));
+    set({ banks, ...buildLibrary(banks) });
+  },
+
+  removeBank: (bankId) => {
+    const banks = get().banks.filter(b => b.id !== bankId);
+    set({ banks, ...buildLibrary(banks) });
+  },
+
+  // Applies an edit from utils/questionEditor to one bank. Edited banks are stamped so
+  // a catalog update can warn before replacing them.
+  editBank: (bankId, edit) => {
+    const banks = get().banks.map(b => (b.id === bankId ? { ...edit(b), editedAt: new Date().toISOString() } : b));
+    set({ banks, ...buildLibrary(banks) });
+  },
+
+  // The questions a quiz config can draw from; empty when the loaded banks can't supply it.
+  getQuizPool: (config) => {
     const { allQuestions } = get();
-    let filteredQuestions = allQuestions;
+    if (config.type === 'subject') return allQuestions.filter(q => q.category === config.value);
+    if (config.type === 'paper') return allQuestions.filter(q => q.subCategory === config.value);
+    if (config.type === 'review') return get().getReviewPool();
+    if (config.type === 'exam') return getExamProfile(config.value) ? allQuestions : [];
+    if (config.type === 'custom') return customQuizPool(allQuestions, get().memory, config);
+    return allQuestions;
+  },
 
-    if (config.type === 'subject') {
-        filteredQuestions = allQuestions.filter(q => q.category === config.value);
-    } else if (config.type === 'paper') {
-        filteredQuestions = allQuestions.filter(q => q.subCategory === config.value);
-    }
+  // Every draw is seeded; a config that already has a seed (from a shared link) gets
+  // the same questions again, otherwise a new seed is kept in quizConfig.
+  startQuiz: (config) => {
+    const { allQuestions, memory } = get();
+    const filteredQuestions = get().getQuizPool(config);
 
-    const shuffled = filteredQuestions.sort(() => 0.5 - Math.random());
-    const selectedQuestions = shuffled.slice(0, config.count);
-    const duration = Math.ceil(config.count * 1.2); 
+    const profile = config.type === 'exam' ? getExamProfile(config.value) : null;
+    // Review keeps its due-first order instead of shuffling, so it has no seed
+    const seed = config.type === 'review' ? undefined : config.seed ?? newSeed();
+    let selectedQuestions;
+    if (profile) {
+      selectedQuestions = buildExamPaper(allQuestions, profile, createRandom(seed)).questions;
+    } else if (config.type === 'custom') {
+      selectedQuestions = buildCustomQuiz(allQuestions, memory, config, seed).questions;
+    } else if (config.type === 'review') {
+      selectedQuestions = filteredQuestions.slice(0, config.count);
+    } else {
+      selectedQuestions = seededShuffle(filteredQuestions, seed).slice(0, config.count);
+    }
+    selectedQuestions = groupCases(selectedQuestions); // A case's questions sit next to each other
+    // Timed by the questions actually drawn; a link can ask for more than the banks hold
+    const duration = profile ? profile.durationMinutes : config.durationMinutes || Math.ceil(selectedQuestions.length * 1.2);
+    const isPractice = Boolean(config.practice) && !profile;
     
+    const questions = selectedQuestions.map((q, i) => ({
+      ...q, userAnswer: null, showAnswer: false, markedForReview: false, visited: i === 0, timeSpentMs: 0, answerChanges: 0,
+    }));
     set({
-      questions: selectedQuestions.map(q => ({ ...q, userAnswer: null, showAnswer: false })),
+      questions,
       currentQuestionIndex: 0,
+      questionVisit: openVisit(questions[0], Date.now()),
       isTestRunning: true,
       startTime: Date.now(),
       finalResults: null,
-      testDurationMinutes: duration,
+      testDurationMinutes: isPractice ? 0 : duration, // Practice is untimed
+      practiceQueue: isPractice ? selectedQuestions.slice(1).map((_, i) => i + 1) : [],
+      quizConfig: seed === undefined ? config : { ...config, seed },
+      scoringRules: profile
+        ? { negativeMarkRatio: profile.negativeMarkRatio, passPercent: profile.passPercent, profileName: profile.name }
+        : config.type === 'custom' ? { ...DEFAULT_RULES, negativeMarkRatio: config.negativeMarkRatio } : DEFAULT_RULES,
     });
   },
 
   selectAnswer: (questionId, answer) => {
+    // In practice a single-choice pick is final at once; multi-select and numeric answers
+    // are composed first and handed in with checkAnswer.
+    const question = get().questions.find(q => q.id === questionId);
+    if (get().quizConfig?.practice && question && isChoiceType(question)) {
+      get().answerPractice(questionId, answer);
+      return;
+    }
+    set((state) => ({
+      questions: state.questions.map((q) =>
+        q.id === questionId ? withAnswer(q, answer) : q
+      ),
+    }));
+  },
+
+  // Practice answers are revealed at once and every try is kept, so first-attempt
+  // accuracy can be told apart from eventual accuracy.
+  answerPractice: (questionId, answer) => {
+    set((state) => {
+      const index = state.questions.findIndex(q => q.id === questionId);
+      const question = state.questions[index];
+      const isCorrect = isCorrectAnswer(question, answer);
+      const queue = state.practiceQueue.filter(i => i !== index);
+      return {
+        questions: state.questions.map((q, i) =>
+          i === index ? { ...q, userAnswer: answer, showAnswer: true, attempts: [...(q.attempts || []), answer] } : q
+        ),
+        practiceQueue: isCorrect ? queue : [...queue, index],
+      };
+    });
+  },
+
+  // Exam-style palette controls. A revealed answer can't be cleared.
+  clearResponse: (questionId) => {
+    set((state) => ({
+      questions: state.questions.map((q) =>
+        q.id === questionId && !q.showAnswer ? { ...q, userAnswer: null } : q
+      ),
+    }));
+  },
+
+  toggleMarkForReview: (questionId) => {
     set((state) => ({
       questions: state.questions.map((q) =>
-        q.id === questionId ? { ...q, userAnswer: answer } : q
+        q.id === questionId ? { ...q, markedForReview: !q.markedForReview } : q
       ),
     }));
   },
 
+  retryQuestion: (questionId) => {
+    set((state) => ({
+      questions: state.questions.map((q) =>
+        q.id === questionId ? { ...q, userAnswer: null, showAnswer: false } : q
+      ),
+    }));
+  },
+
+  // Moves to the next queued practice question, skipping any already answered correctly.
+  // A re-queued question comes back blank so it can be answered again.
+  nextPracticeQuestion: () => {
+    const now = Date.now();
+    const questions = leaveQuestion(get(), now);
+    const queue = [...get().practiceQueue];
+    while (queue.length > 0) {
+      const index = queue.shift();
+      const q = questions[index];
+      if (isCorrectAnswer(q, q.userAnswer)) continue;
+      set({
+        practiceQueue: queue,
+        currentQuestionIndex: index,
+        questions: questions.map((item, i) => (i === index ? { ...item, userAnswer: null, showAnswer: false, visited: true } : item)),
+        questionVisit: openVisit(null, now),
+      });
+      return;
+    }
+    set({ practiceQueue: [] });
+  },
+
   checkAnswer: (questionId) => {
+    if (get().quizConfig?.type === 'exam') return; // No peeking in exam simulation
+    if (get().quizConfig?.practice) {
+      const question = get().questions.find(q => q.id === questionId);
+      if (question && hasAnswer(question.userAnswer) && !question.showAnswer) get().answerPractice(questionId, question.userAnswer);
+      return;
+    }
     set((state) => ({
         questions: state.questions.map((q) => 
             q.id === questionId ? { ...q, showAnswer: true } : q
@@ -58,15 +308,113 @@ export const useQuizStore = create((set, get) => ({
   },
   
   navigateToQuestion: (index) => {
-    if(index >= 0 && index < get().questions.length) {
-      set({ currentQuestionIndex: index });
+    if (index >= 0 && index < get().questions.length && index !== get().currentQuestionIndex) {
+      const now = Date.now();
+      set((state) => {
+        const questions = leaveQuestion(state, now).map((q, i) => (i === index && !q.visited ? { ...q, visited: true } : q));
+        return { currentQuestionIndex: index, questions, questionVisit: openVisit(questions[index], now) };
+      });
     }
   },
 
+  // Time per question only runs while the quiz is on screen (see QuizPage).
+  resumeQuestionTimer: () => {
+    const { isTestRunning, questionVisit, questions, currentQuestionIndex } = get();
+    if (isTestRunning && !questionVisit) set({ questionVisit: openVisit(questions[currentQuestionIndex], Date.now()) });
+  },
+
+  pauseQuestionTimer: () => {
+    if (!get().questionVisit) return;
+    set((state) => ({ questions: leaveQuestion(state, Date.now()), questionVisit: null }));
+  },
+
   submitTest: () => {
-    const analysis = calculateAnalysis(get().questions);
-    set({ finalResults: analysis, isTestRunning: false });
+    const { startTime, testDurationMinutes, quizConfig, scoringRules, isTestRunning } = get();
+    if (!isTestRunning) return; // Timer and button can race on the last second
+    const questions = leaveQuestion(get(), Date.now());
+    const analysis = calculateAnalysis(questions, scoringRules);
+    const elapsed = Math.round((Date.now() - startTime) / 1000);
+    const attempt = {
+      id: `attempt-${Date.now()}`,
+      date: new Date().toISOString(),
+      mode: quizConfig?.practice ? 'practice' : (quizConfig?.type || 'all'),
+      label: scoringRules.profileName || quizConfig?.value || ({ review: 'Due Review', custom: 'Custom Quiz' }[quizConfig?.type] ?? 'All Subjects'),
+      quiz: quizConfig, // With its seed, enough to draw the same quiz again
+      timeTakenSeconds: testDurationMinutes > 0 ? Math.min(elapsed, testDurationMinutes * 60) : elapsed,
+      ...analysis,
+    };
+    const now = Date.now();
+    const memory = { ...get().memory };
+    questions.forEach((q) => {
+      const answer = scoredAnswer(q);
+      if (hasAnswer(answer)) memory[q.id] = reviewCard(memory[q.id], isCorrectAnswer(q, answer), now);
+    });
+    set((state) => ({
+      questions,
+      questionVisit: null,
+      finalResults: attempt,
+      isTestRunning: false,
+      attempts: [...state.attempts, attempt].slice(-MAX_SAVED_ATTEMPTS),
+      memory,
+    }));
+  },
+
+  // How many questions in the active banks are due for review, overall and per category.
+  getDueSummary: () => dueSummaryFor(get().allQuestions, get().memory),
+
+  getReviewPool: () => selectReviewQuestions(get().allQuestions, get().memory),
+
+  closeResults: () => set({ finalResults: null }),
+
+  cacheExplanation: (question, userAnswer, text) => {
+    set((state) => ({
+      aiExplanationCache: {
+        ...state.aiExplanationCache,
+        [explanationKey(question, userAnswer)]: {
+          questionId: String(question.id),
+          answer: question.answer,
+          userAnswer: userAnswer || null,
+          text,
+          createdAt: new Date().toISOString(),
+        },
+      },
+    }));
+  },
+
+  clearExplanationCache: () => set({ aiExplanationCache: {} }),
+
+  acknowledgeCatalog: (version) => set({ seenCatalogVersion: version }),
+
+  updateAiSettings: (changes) => set((state) => ({ aiSettings: { ...state.aiSettings, ...changes } })),
+
+  clearHistory: () => set({ attempts: [] }),
+
+  setTraineeName: (traineeName) => set({ traineeName }),
+
+  // Re-importing the same attempt from the same trainee replaces the earlier copy.
+  importAttempts: (imported) => {
+    set((state) => {
+      const byKey = new Map(state.importedAttempts.map(a => [a.importKey, a]));
+      imported.forEach((attempt) => {
+        const importKey = `import:${attempt.traineeName}:${attempt.id}`;
+        byKey.set(importKey, { ...attempt, importKey });
+      });
+      return { importedAttempts: [...byKey.values()].slice(-MAX_SAVED_ATTEMPTS) };
+    });
   },
+
+  removeImportedAttempt: (importKey) => set((state) => ({
+    importedAttempts: state.importedAttempts.filter(a => a.importKey !== importKey),
+  })),
+
+  clearImportedAttempts: () => set({ importedAttempts: [] }),
+
+  // Saving under an existing name replaces that preset.
+  saveQuizPreset: (name, settings) => set((state) => ({
+    quizPresets: [...state.quizPresets.filter(p => p.name !== name), { name, settings: presetSettings(settings) }],
+  })),
+
+  deleteQuizPreset: (name) => set((state) => ({ quizPresets: state.quizPresets.filter(p => p.name !== name) })),
   
   reset: () => {
       set((state) => ({
@@ -76,122 +424,337 @@ export const useQuizStore = create((set, get) => ({
         startTime: 0, 
         finalResults: null, 
         testDurationMinutes: 0,
-        // Keep allQuestions loaded
+        quizConfig: null,
+        scoringRules: DEFAULT_RULES,
+        practiceQueue: [],
+        questionVisit: null,
+        // Keep the library loaded
         allQuestions: state.allQuestions 
       }));
   }
+}), {
+  name: 'nism-quiz-session',
+  version: 2,
+  storage: createQuotaSafeStorage(createJSONStorage(() => localStorage), ['attempts', 'importedAttempts'], handleStorageFull),
+  // finalResults and the merged pool are derived, so only the banks and the running session are stored.
+  partialize: (state) => ({
+    banks: state.banks,
+    questions: state.questions,
+    currentQuestionIndex: state.currentQuestionIndex,
+    isTestRunning: state.isTestRunning,
+    startTime: state.startTime,
+    testDurationMinutes: state.testDurationMinutes,
+    quizConfig: state.quizConfig,
+    scoringRules: state.scoringRules,
+    attempts: state.attempts,
+    memory: state.memory,
+    practiceQueue: state.practiceQueue,
+    aiSettings: state.aiSettings,
+    aiExplanationCache: state.aiExplanationCache,
+    seenCatalogVersion: state.seenCatalogVersion,
+    traineeName: state.traineeName,
+    importedAttempts: state.importedAttempts,
+    quizPresets: state.quizPresets,
+  }),
+  migrate: (persisted, version) => {
+    // v1 stored a single bank as allQuestions
+    if (version < 2) {
+      const { allQuestions = [], ...rest } = persisted;
+      const banks = allQuestions.length > 0
+        ? [{ id: 'bank-1', name: 'Question Bank', questions: allQuestions, enabled: true, importedAt: new Date().toISOString() }]
+        : [];
+      return { ...rest, banks };
+    }
+    return persisted;
+  },
+  merge: (persisted, current) => ({ ...current, ...persisted, ...buildLibrary(persisted?.banks || []) }),
 }));
 
+// Review colour for an answer: right, partly right (multi-select) or wrong.
+const creditColor = (q, answer) => {
+  const credit = answerCredit(q, answer);
+  return credit === 1 ? 'text-green-600' : credit > 0 ? 'text-yellow-600' : 'text-red-600';
+};
+
 // --- Helper function for analysis with negative marking ---
-const calculateAnalysis = (questions) => {
+// rules: { negativeMarkRatio, passPercent } from the exam profile, or the practice defaults.
+// Partly right multi-select answers earn their share of the mark and are never penalised.
+export const calculateAnalysis = (questions, rules = DEFAULT_RULES) => {
   const totalQuestions = questions.length;
   let correctCount = 0;
   let incorrectCount = 0;
-  const topicStats = {};
+  let partialCount = 0;
+  let marks = 0;
 
   questions.forEach((q) => {
-    const category = q.category || 'General';
-    if (!topicStats[category]) {
-      topicStats[category] = { correct: 0, total: 0 };
-    }
-    
-    if (q.userAnswer) {
-        topicStats[category].total++;
-        if (q.userAnswer === q.answer) {
+    const answer = scoredAnswer(q);
+    if (hasAnswer(answer)) {
+        const credit = answerCredit(q, answer);
+        marks += credit;
+        if (credit === 1) {
             correctCount++;
-            topicStats[category].correct++;
+        } else if (credit > 0) {
+            partialCount++;
         } else {
             incorrectCount++;
         }
     }
   });
 
-  const score = correctCount - (incorrectCount * 0.25);
+  const score = marks - (incorrectCount * rules.negativeMarkRatio);
   const accuracy = totalQuestions > 0 ? (correctCount / totalQuestions) * 100 : 0;
-  const passed = totalQuestions > 0 ? score >= (totalQuestions * 0.6) : false;
+  const passed = totalQuestions > 0 ? score >= (totalQuestions * rules.passPercent / 100) : false;
 
-  const topicAnalysis = Object.entries(topicStats).map(([topic, stats]) => ({
-    topic,
-    accuracy: stats.total > 0 ? (stats.correct / stats.total) * 100 : 0,
-    ...stats,
-  }));
+  // By subject (category) and by paper (subCategory); see groupStats for the fields.
+  const topicAnalysis = groupStats(questions, q => q.category || 'General', rules).map(({ name, ...stats }) => ({ topic: name, ...stats }));
+  const paperAnalysis = groupStats(questions, q => q.subCategory || 'General', rules).map(({ name, ...stats }) => ({ paper: name, ...stats }));
 
-  return {
-    score, correctCount, totalQuestions, accuracy, passed, topicAnalysis, answeredQuestions: questions,
+  const result = {
+    score, correctCount, incorrectCount, partialCount, totalQuestions, accuracy, passed, topicAnalysis, paperAnalysis, answeredQuestions: questions, rules,
+    timing: timingSummary(questions),
   };
+
+  if (questions.some(q => q.attempts)) {
+    const eventualCorrect = questions.filter(q => isCorrectAnswer(q, q.userAnswer)).length;
+    result.practice = {
+      firstAttemptCorrect: correctCount,
+      firstAttemptAccuracy: accuracy,
+      eventualCorrect,
+      eventualAccuracy: totalQuestions > 0 ? (eventualCorrect / totalQuestions) * 100 : 0,
+      retries: questions.reduce((sum, q) => sum + Math.max(0, (q.attempts?.length || 0) - 1), 0),
+    };
+  }
+
+  return result;
 };
 
 
 // --- Components ---
 
-function QuestionCard({ question, questionNumber }) {
-  const { selectAnswer, checkAnswer } = useQuizStore();
-  const { userAnswer, showAnswer } = question;
+// The only place HTML is injected; renderMarkdown sanitises it first.
+function Markdown({ source, className }) {
+  const html = useMemo(() => renderMarkdown(source), [source]);
+  return <div className={className} dangerouslySetInnerHTML={{ __html: html }} />;
+}
+
+const optionLetter = (index) => String.fromCharCode(65 + index);
+
+// Case passage shared by a group of questions; collapsible where the question isn't the focus.
+function CasePassage({ question, collapsible = false }) {
+  if (!question.passage) return null;
+  const title = question.caseTitle ? `Case: ${question.caseTitle}` : 'Case';
+  const body = <Markdown source={question.passage} className="prose prose-sm max-w-none text-gray-700" />;
+  if (collapsible) {
+    return (
+      <details className="mb-3 p-3 bg-gray-100 rounded-lg text-sm">
+        <summary className="cursor-pointer font-semibold text-gray-700">{title}</summary>
+        <div className="mt-2">{body}</div>
+      </details>
+    );
+  }
+  return (
+    <section aria-label={title} className="mb-6 p-4 bg-gray-50 border-l-4 border-blue-400 rounded-r-lg max-h-80 overflow-y-auto print:max-h-none print:overflow-visible">
+      <h3 className="font-semibold text-gray-800 mb-2">{title}</h3>
+      {body}
+    </section>
+  );
+}
+
+function AssertionReason({ question }) {
+  if (questionType(question) !== 'assertion-reason') return null;
+  return (
+    <dl className="mb-6 space-y-2 text-gray-700">
+      <div><dt className="inline font-semibold">Assertion (A): </dt><dd className="inline">{question.assertion}</dd></div>
+      <div><dt className="inline font-semibold">Reason (R): </dt><dd className="inline">{question.reason}</dd></div>
+    </dl>
+  );
+}
+
+const MULTI_SCORING_HINTS = {
+  'all-or-nothing': 'Select all that apply. Every correct option, and no others, is needed for the mark.',
+  partial: 'Select all that apply. Each correct option earns part of the mark; any wrong option scores zero.',
+};
+
+export function QuestionCard({ question, questionNumber }) {
+  const { selectAnswer, checkAnswer, retryQuestion, clearResponse, toggleMarkForReview, quizConfig, aiExplanationCache } = useQuizStore();
+  const { userAnswer, showAnswer, markedForReview } = question;
+  const type = questionType(question);
+  const isMulti = type === 'multi';
+  const isExam = quizConfig?.type === 'exam';
+  const isPractice = Boolean(quizConfig?.practice);
+  const isLocked = showAnswer; // Answers can be revised until they are revealed
+  const headingRef = useRef(null);
+  const optionRefs = useRef([]);
+
+  // Move focus to the new question so screen readers announce it after navigation.
+  useEffect(() => { headingRef.current?.focus() }, [question.id]);
 
   const handleSelectAnswer = (option) => {
-    if (userAnswer) return; // Lock answer once selected
-    selectAnswer(question.id, option);
+    if (isLocked) return; // Lock answer once revealed
+    selectAnswer(question.id, isMulti ? toggleOption(question, userAnswer, option) : option);
+  };
+
+  // Radio-group keys: Up/Down move between options, Space or Enter chooses (or for
+  // multi-select, toggles) the focused one.
+  const handleOptionKeyDown = (event, index) => {
+    const count = question.options.length;
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const next = (index + (event.key === 'ArrowDown' ? 1 : count - 1)) % count;
+      optionRefs.current[next]?.focus();
+    } else if (event.key === ' ' || event.key === 'Enter') {
+      event.preventDefault();
+      event.stopPropagation();
+      handleSelectAnswer(question.options[index]);
+    }
   };
 
+  const picked = isMulti ? (Array.isArray(userAnswer) ? userAnswer : []) : [userAnswer];
+  const correctOptions = isMulti ? question.answer : [question.answer];
+  const credit = answerCredit(question, userAnswer);
+  const textId = `question-text-${question.id}`;
+
   return (
     <div>
-      <h2 className="text-xl font-semibold text-gray-800 mb-4">
-        Question {questionNumber}
-      </h2>
-      <p className="text-lg text-gray-700 mb-6">{question.question}</p>
-
-      <div className="space-y-4">
-        {question.options.map((option, index) => {
-            const isSelected = userAnswer === option;
-            const isCorrect = question.answer === option;
-            let borderColor = 'border-gray-300 hover:border-blue-400';
-            if (showAnswer) {
-                if (isCorrect) borderColor = 'border-green-500 bg-green-50';
-                else if (isSelected) borderColor = 'border-red-500 bg-red-50';
-            } else if (isSelected) {
-                borderColor = 'border-blue-500 bg-blue-50';
-            }
-
-            return (
-              <div
-                key={index}
-                onClick={() => handleSelectAnswer(option)}
-                className={`p-4 border-2 rounded-lg transition-all ${userAnswer ? 'cursor-default' : 'cursor-pointer'} ${borderColor}`}
-              >
-                <span className="font-medium text-gray-800">{option}</span>
-              </div>
-            );
-        })}
+      <div className="flex justify-between items-center mb-4">
+        <h2 ref={headingRef} tabIndex={-1} className="text-xl font-semibold text-gray-800 focus:outline-none">
+          Question {questionNumber}
+        </h2>
+        {markedForReview && <span className="px-3 py-1 text-sm font-semibold text-purple-700 bg-purple-100 rounded-full">Marked for review</span>}
       </div>
-      {userAnswer && !showAnswer && (
-          <button 
-            onClick={() => checkAnswer(question.id)}
-            className="mt-6 px-6 py-2 bg-yellow-500 text-white font-semibold rounded-lg shadow-md hover:bg-yellow-600"
-          >
-              Check Answer
+      <CasePassage question={question} />
+      <p id={textId} className="text-lg text-gray-700 mb-6">{question.question}</p>
+      <AssertionReason question={question} />
+
+      {type === 'numeric' ? (
+        <div>
+          <label htmlFor={`numeric-${question.id}`} className="block text-sm font-medium text-gray-700 mb-2">
+            Your answer{question.unit ? ` (${question.unit})` : ''}
+          </label>
+          <input
+            id={`numeric-${question.id}`}
+            type="number"
+            step="any"
+            inputMode="decimal"
+            aria-describedby={textId}
+            value={userAnswer ?? ''}
+            disabled={isLocked}
+            onChange={(e) => selectAnswer(question.id, e.target.value === '' ? null : e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter' && hasAnswer(userAnswer) && !isExam) checkAnswer(question.id) }}
+            className={`w-full sm:w-64 p-3 border-2 rounded-lg text-lg focus:outline-none focus:ring-2 focus:ring-blue-500 ${showAnswer ? (credit === 1 ? 'border-green-500 bg-green-50' : 'border-red-500 bg-red-50') : 'border-gray-300'}`}
+          />
+          {showAnswer && <p className="mt-2 text-green-700 font-medium">Correct answer: {formatCorrectAnswer(question)}</p>}
+        </div>
+      ) : (
+        <>
+          {isMulti && <p className="text-sm text-gray-600 mb-3">{MULTI_SCORING_HINTS[question.scoring || 'all-or-nothing']}</p>}
+          <div role={isMulti ? 'group' : 'radiogroup'} aria-labelledby={textId} aria-disabled={isLocked} className="space-y-4">
+            {question.options.map((option, index) => {
+                const isSelected = picked.includes(option);
+                const isCorrect = correctOptions.includes(option);
+                let borderColor = 'border-gray-300 hover:border-blue-400';
+                if (showAnswer) {
+                    if (isCorrect) borderColor = 'border-green-500 bg-green-50';
+                    else if (isSelected) borderColor = 'border-red-500 bg-red-50';
+                } else if (isSelected) {
+                    borderColor = 'border-blue-500 bg-blue-50';
+                }
+                const focusIndex = Math.max(question.options.findIndex(o => picked.includes(o)), 0);
+
+                return (
+                  <div
+                    key={index}
+                    ref={(el) => { optionRefs.current[index] = el }}
+                    role={isMulti ? 'checkbox' : 'radio'}
+                    aria-checked={isSelected}
+                    aria-disabled={isLocked}
+                    tabIndex={index === focusIndex ? 0 : -1}
+                    onClick={() => handleSelectAnswer(option)}
+                    onKeyDown={(e) => handleOptionKeyDown(e, index)}
+                    className={`p-4 border-2 rounded-lg transition-all focus:outline-none focus:ring-2 focus:ring-blue-500 ${isLocked ? 'cursor-default' : 'cursor-pointer'} ${borderColor}`}
+                  >
+                    {isMulti && (
+                      <span aria-hidden="true" className={`inline-flex items-center justify-center w-5 h-5 mr-3 align-middle border-2 rounded text-xs font-bold ${isSelected ? 'bg-blue-600 border-blue-600 text-white' : 'border-gray-400'}`}>
+                        {isSelected ? '✓' : ''}
+                      </span>
+                    )}
+                    <span className="font-bold text-gray-500 mr-3" aria-hidden="true">{optionLetter(index)}.</span>
+                    <span className="font-medium text-gray-800">{option}</span>
+                    {showAnswer && isCorrect && <span className="sr-only"> (correct answer)</span>}
+                    {showAnswer && isSelected && !isCorrect && <span className="sr-only"> (your answer, incorrect)</span>}
+                  </div>
+                );
+            })}
+          </div>
+        </>
+      )}
+      <div className="mt-6 flex flex-wrap gap-3">
+        {hasAnswer(userAnswer) && !showAnswer && !isExam && (
+            <button 
+              onClick={() => checkAnswer(question.id)}
+              className="px-6 py-2 bg-yellow-500 text-white font-semibold rounded-lg shadow-md hover:bg-yellow-600"
+            >
+                Check Answer
+            </button>
+        )}
+        {!isPractice && (
+          <button onClick={() => toggleMarkForReview(question.id)} className="px-6 py-2 bg-purple-600 text-white font-semibold rounded-lg shadow-md hover:bg-purple-700">
+            {markedForReview ? 'Unmark Review' : 'Mark for Review'}
           </button>
+        )}
+        {hasAnswer(userAnswer) && !showAnswer && (
+          <button onClick={() => clearResponse(question.id)} className="px-6 py-2 bg-gray-200 text-gray-700 font-semibold rounded-lg hover:bg-gray-300">
+            Clear Response
+          </button>
+        )}
+      </div>
+      {isPractice && showAnswer && (
+          <div className="mt-6" aria-live="polite">
+            <p className={`font-semibold ${credit === 1 ? 'text-green-600' : 'text-red-600'}`}>
+              {credit === 1 ? 'Correct!' : `${credit > 0 ? 'Partly right.' : 'Not quite.'} This question will come back at the end of the session.`}
+            </p>
+            {isMulti && credit < 1 && <p className="mt-1 text-gray-700">Correct options: {formatCorrectAnswer(question)}</p>}
+            {question.explanation && (
+              <div className="mt-2 p-3 bg-gray-50 rounded-lg text-gray-700">
+                <strong>Explanation:</strong>
+                <Markdown source={question.explanation} className="prose prose-sm max-w-none" />
+              </div>
+            )}
+            {getCachedExplanation(aiExplanationCache, question, userAnswer) && (
+              <div className="mt-2 p-3 bg-purple-50 rounded-lg text-gray-700">
+                <strong>AI explanation:</strong>
+                <Markdown source={getCachedExplanation(aiExplanationCache, question, userAnswer)} className="prose prose-sm max-w-none" />
+              </div>
+            )}
+            {credit < 1 && (
+              <button onClick={() => retryQuestion(question.id)} className="mt-4 px-6 py-2 bg-yellow-500 text-white font-semibold rounded-lg shadow-md hover:bg-yellow-600">
+                Try Again
+              </button>
+            )}
+          </div>
       )}
     </div>
   );
 }
 
-function QuizTimer() {
+// Derived from startTime so a resumed session shows the real remaining time straight away.
+const remainingSeconds = (startTime, durationMinutes) =>
+  Math.max(0, durationMinutes * 60 - Math.floor((Date.now() - startTime) / 1000));
+
+export function QuizTimer() {
   const { startTime, submitTest, testDurationMinutes } = useQuizStore();
-  const [timeLeft, setTimeLeft] = useState(testDurationMinutes * 60);
+  const [timeLeft, setTimeLeft] = useState(() => remainingSeconds(startTime, testDurationMinutes));
 
-  useEffect(() => { setTimeLeft(testDurationMinutes * 60) }, [testDurationMinutes]);
+  useEffect(() => { setTimeLeft(remainingSeconds(startTime, testDurationMinutes)) }, [startTime, testDurationMinutes]);
 
   useEffect(() => {
     if (!startTime) return;
     const interval = setInterval(() => {
-      const elapsed = Math.floor((Date.now() - startTime) / 1000);
-      const remaining = testDurationMinutes * 60 - elapsed;
-      if (remaining <= 0) {
+      const remaining = remainingSeconds(startTime, testDurationMinutes);
+      setTimeLeft(remaining);
+      if (remaining === 0) {
         clearInterval(interval);
-        setTimeLeft(0);
         submitTest();
-      } else {
-        setTimeLeft(remaining);
       }
     }, 1000);
     return () => clearInterval(interval);
@@ -210,154 +773,821 @@ function QuizTimer() {
   );
 }
 
-const getStatusColor = (q) => {
-  if (q.showAnswer) {
-      return q.userAnswer === q.answer ? 'bg-green-500 text-white' : 'bg-red-500 text-white';
-  }
-  if (q.userAnswer) return 'bg-blue-500 text-white';
-  return 'bg-gray-200 text-gray-700';
+function PracticeProgress() {
+  const { questions, practiceQueue } = useQuizStore();
+  const mastered = questions.filter(q => isCorrectAnswer(q, q.userAnswer)).length;
+  const firstTry = questions.filter(q => isCorrectAnswer(q, q.attempts?.[0])).length;
+
+  return (
+    <div className="mb-8 p-4 bg-gray-100 rounded-lg text-center">
+      <h2 className="text-lg font-semibold text-gray-700">Practice Progress</h2>
+      <p className="text-4xl font-bold text-blue-600 mt-2">{mastered} / {questions.length}</p>
+      <p className="text-sm text-gray-600 mt-1">{firstTry} right first time · {practiceQueue.length} still queued</p>
+    </div>
+  );
+}
+
+// Palette states, in legend order.
+const QUESTION_STATUSES = {
+  correct: { label: 'Correct', color: 'bg-green-500 text-white' },
+  incorrect: { label: 'Incorrect', color: 'bg-red-500 text-white' },
+  answered: { label: 'Answered', color: 'bg-blue-500 text-white' },
+  answeredMarked: { label: 'Answered & Marked for Review', color: 'bg-purple-500 text-white ring-2 ring-offset-1 ring-blue-500' },
+  marked: { label: 'Marked for Review', color: 'bg-purple-500 text-white' },
+  visited: { label: 'Visited, Not Answered', color: 'bg-orange-400 text-white' },
+  notVisited: { label: 'Not Visited', color: 'bg-gray-200 text-gray-700' },
+};
+
+const getQuestionStatus = (q) => {
+  if (q.showAnswer) return isCorrectAnswer(q, q.userAnswer) ? 'correct' : 'incorrect';
+  if (hasAnswer(q.userAnswer)) return q.markedForReview ? 'answeredMarked' : 'answered';
+  if (q.markedForReview) return 'marked';
+  return q.visited ? 'visited' : 'notVisited';
 };
 
-function QuizSummary() {
-  const { questions, navigateToQuestion } = useQuizStore();
+const getStatusColor = (q) => QUESTION_STATUSES[getQuestionStatus(q)].color;
+
+const PALETTE_FILTERS = {
+  all: { label: 'All', matches: () => true },
+  unanswered: { label: 'Unanswered', matches: (q) => !hasAnswer(q.userAnswer) },
+  marked: { label: 'Marked', matches: (q) => q.markedForReview },
+};
+
+export function QuizSummary() {
+  const { questions, navigateToQuestion, currentQuestionIndex } = useQuizStore();
+  const [filter, setFilter] = useState('all');
+  const counts = questions.reduce((acc, q) => {
+    const status = getQuestionStatus(q);
+    acc[status] = (acc[status] || 0) + 1;
+    return acc;
+  }, {});
+
   return (
     <div>
       <h2 className="text-lg font-semibold text-gray-700 mb-4">Question Palette</h2>
-      <div className="grid grid-cols-5 sm:grid-cols-6 md:grid-cols-7 lg:grid-cols-10 gap-2">
-        {questions.map((q, index) => (
+      <div role="group" aria-label="Filter questions" className="flex space-x-2 mb-4">
+        {Object.entries(PALETTE_FILTERS).map(([key, { label }]) => (
+          <button
+            key={key}
+            onClick={() => setFilter(key)}
+            aria-pressed={filter === key}
+            className={`px-3 py-1 text-sm rounded-full border ${filter === key ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'}`}
+          >
+            {label} ({questions.filter(PALETTE_FILTERS[key].matches).length})
+          </button>
+        ))}
+      </div>
+      <nav aria-label="Question palette" className="grid grid-cols-5 sm:grid-cols-6 md:grid-cols-7 lg:grid-cols-10 gap-2">
+        {questions.map((q, index) => PALETTE_FILTERS[filter].matches(q) && (
           <button
             key={q.id}
             onClick={() => navigateToQuestion(index)}
-            className={`w-10 h-10 flex items-center justify-center rounded-md font-bold transition-colors ${getStatusColor(q)}`}
+            aria-label={`Question ${index + 1}, ${QUESTION_STATUSES[getQuestionStatus(q)].label}`}
+            aria-current={index === currentQuestionIndex ? 'step' : undefined}
+            className={`w-10 h-10 flex items-center justify-center rounded-md font-bold transition-colors ${getStatusColor(q)} ${index === currentQuestionIndex ? 'outline outline-2 outline-offset-2 outline-gray-800' : ''}`}
           >
             {index + 1}
           </button>
         ))}
-      </div>
+      </nav>
        <div className="mt-4 space-y-2 text-sm text-gray-600">
-        <div className="flex items-center"><span className="w-4 h-4 rounded-full bg-blue-500 mr-2"></span> Answered</div>
-        <div className="flex items-center"><span className="w-4 h-4 rounded-full bg-green-500 mr-2"></span> Correct</div>
-        <div className="flex items-center"><span className="w-4 h-4 rounded-full bg-red-500 mr-2"></span> Incorrect</div>
-        <div className="flex items-center"><span className="w-4 h-4 rounded-full bg-gray-200 mr-2 border border-gray-400"></span> Not Answered</div>
+        {Object.entries(QUESTION_STATUSES).map(([key, { label, color }]) => (
+          <div key={key} className="flex items-center justify-between">
+            <span className="flex items-center"><span className={`w-4 h-4 rounded-full mr-2 border border-gray-300 ${color}`}></span> {label}</span>
+            <span className="font-semibold">{counts[key] || 0}</span>
+          </div>
+        ))}
       </div>
     </div>
   );
 }
 
+// Closes a modal on Escape and puts focus on its primary control when it opens.
+const useModal = (onClose, focusRef) => {
+  useEffect(() => {
+    focusRef.current?.focus();
+    const handleKeyDown = (event) => { if (event.key === 'Escape') onClose() };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose, focusRef]);
+};
 
-// --- Pages ---
+function SubmitDialog({ onConfirm, onCancel }) {
+  const { questions } = useQuizStore();
+  const confirmRef = useRef(null);
+  useModal(onCancel, confirmRef);
+  const unanswered = questions.filter(q => !hasAnswer(q.userAnswer));
+  const marked = questions.filter(q => q.markedForReview);
+  const numbers = (list) => list.map(q => questions.indexOf(q) + 1).join(', ');
 
-function HomePage({ navigate }) {
-  const { startQuiz, loadQuestions, allQuestions } = useQuizStore();
-  const [quizType, setQuizType] = useState('all'); // all, subject, paper
-  const [selectedSubject, setSelectedSubject] = useState('');
-  const [selectedPaper, setSelectedPaper] = useState('');
-  const [numQuestions, setNumQuestions] = useState(10);
-  const [error, setError] = useState('');
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+      <div role="dialog" aria-modal="true" aria-labelledby="submit-dialog-title" className="w-full max-w-md bg-white rounded-xl shadow-xl p-6">
+        <h2 id="submit-dialog-title" className="text-xl font-semibold text-gray-800 mb-4">Submit the test?</h2>
+        <ul className="space-y-2 text-sm text-gray-700 mb-6">
+          <li><strong>{questions.length - unanswered.length}</strong> of {questions.length} answered</li>
+          <li className={unanswered.length > 0 ? 'text-orange-600' : ''}>
+            <strong>{unanswered.length}</strong> unanswered{unanswered.length > 0 && `: Q${numbers(unanswered)}`}
+          </li>
+          <li className={marked.length > 0 ? 'text-purple-600' : ''}>
+            <strong>{marked.length}</strong> marked for review{marked.length > 0 && `: Q${numbers(marked)}`}
+          </li>
+        </ul>
+        <div className="flex justify-end space-x-4">
+          <button onClick={onCancel} className="px-6 py-2 bg-gray-300 text-gray-700 font-semibold rounded-lg hover:bg-gray-400">Keep Going</button>
+          <button ref={confirmRef} onClick={onConfirm} className="px-6 py-2 bg-red-600 text-white font-semibold rounded-lg hover:bg-red-700">Submit</button>
+        </div>
+      </div>
+    </div>
+  );
+}
 
-  const handleFileChange = (event) => {
-    const file = event.target.files[0];
-    if (file && file.type === "application/json") {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        try {
-          const content = e.target.result;
-          const parsedQuestions = JSON.parse(content);
-          // Assuming the structure is an array of question objects
-          if (Array.isArray(parsedQuestions) && parsedQuestions.length > 0) {
-              loadQuestions(parsedQuestions);
-              setError('');
-          } else {
-              setError("Invalid JSON format. Expected an array of questions.");
-          }
-        } catch (err) {
-          setError("Error parsing JSON file.");
-          console.error(err);
-        }
-      };
-      reader.readAsText(file);
-    } else {
-      setError("Please select a valid JSON file.");
-    }
-  };
 
-  const { subjects, papers, maxQuestions } = useMemo(() => {
-      if (allQuestions.length === 0) return { subjects: [], papers: [], maxQuestions: 0 };
+// --- Pages ---
 
-      const subjects = [...new Set(allQuestions.map(q => q.category))];
-      const papers = [...new Set(allQuestions.map(q => q.subCategory))];
-      
-      let currentMax = allQuestions.length;
-      if (quizType === 'subject') {
-          currentMax = allQuestions.filter(q => q.category === selectedSubject).length;
-      } else if (quizType === 'paper') {
-          currentMax = allQuestions.filter(q => q.subCategory === selectedPaper).length;
-      }
-      
-      if(selectedSubject === '' && subjects.length > 0) setSelectedSubject(subjects[0]);
-      if(selectedPaper === '' && papers.length > 0) setSelectedPaper(papers[0]);
+function ResumeBanner() {
+  const { questions, startTime, testDurationMinutes, quizConfig, reset } = useQuizStore();
+  const navigate = useNavigate();
+  const answered = questions.filter(q => hasAnswer(q.userAnswer)).length;
+  const elapsed = Math.floor((Date.now() - startTime) / 1000);
+  const remaining = Math.max(0, testDurationMinutes * 60 - elapsed);
 
-      return { subjects, papers, maxQuestions: currentMax };
-  }, [quizType, selectedSubject, selectedPaper, allQuestions]);
+  return (
+    <div className="mb-8 p-6 bg-yellow-50 border border-yellow-300 rounded-xl text-left">
+      <h2 className="text-xl font-semibold text-gray-800 mb-2">You have a test in progress</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        {answered} of {questions.length} questions answered, {testDurationMinutes === 0 ? 'untimed practice' : remaining > 0 ? `${Math.ceil(remaining / 60)} min remaining` : 'time is up'}.
+      </p>
+      <div className="flex space-x-4">
+        <button onClick={() => navigate(`/quiz${quizConfig ? configToSearch(quizConfig) : ''}`)} className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700">Resume test</button>
+        <button onClick={reset} className="px-6 py-2 bg-gray-300 text-gray-700 font-semibold rounded-lg hover:bg-gray-400">Discard</button>
+      </div>
+    </div>
+  );
+}
 
-  useEffect(() => {
-      if (numQuestions > maxQuestions) {
-          setNumQuestions(maxQuestions || 1);
-      }
-  }, [maxQuestions, numQuestions]);
+const SUPPORTED_FILE_PATTERN = /\.(json|csv|tsv|txt)$/i;
 
-  const handleStartQuiz = () => {
-    let config = { type: 'all', value: null, count: numQuestions };
-    if (quizType === 'subject') {
-        config = { type: 'subject', value: selectedSubject, count: numQuestions };
-    } else if (quizType === 'paper') {
-        config = { type: 'paper', value: selectedPaper, count: numQuestions };
-    }
-    startQuiz(config);
-    navigate('quiz');
-  };
+function ColumnMapper({ csvImport, onConfirm, onCancel }) {
+  const { fileName, headers, rows } = csvImport;
+  const [mapping, setMapping] = useState(csvImport.mapping);
+
+  const setField = (key, value) => setMapping(prev => ({ ...prev, [key]: value === '' ? null : Number(value) }));
+  const toggleOption = (index) => setMapping(prev => ({
+    ...prev,
+    options: prev.options.includes(index)
+      ? prev.options.filter(i => i !== index)
+      : [...prev.options, index].sort((a, b) => a - b),
+  }));
 
   return (
-    <main className="flex min-h-screen flex-col items-center justify-center p-8 bg-gray-50">
-      <div className="w-full max-w-2xl text-center">
-        <h1 className="text-4xl font-bold text-gray-800 mb-4">NISM Derivatives Practice Exam</h1>
-        <p className="text-lg text-gray-600 mb-12">Load your question file to begin.</p>
-        
-        <div className="p-8 bg-white rounded-xl shadow-lg border border-gray-200 text-left">
-          <div className="mb-6">
-            <label className="block text-lg font-medium text-gray-700 mb-2 text-center">
-              Load Question File
-            </label>
-            <input 
-              type="file" 
-              accept=".json" 
-              onChange={handleFileChange}
-              className="w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
-            />
-            {error && <p className="text-red-500 text-sm mt-2 text-center">{error}</p>}
+    <div className="border-t pt-6 mt-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-2">Map Columns: {fileName}</h2>
+      <p className="text-sm text-gray-600 mb-4">{rows.length} rows found. Check which column holds each field.</p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+        {QUESTION_FIELDS.map(({ key, label }) => (
+          <div key={key}>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+            <select value={mapping[key] ?? ''} onChange={(e) => setField(key, e.target.value)} className="w-full p-2 border border-gray-300 rounded-md text-sm">
+              <option value="">{key === 'id' ? '— generate from question text —' : '— none —'}</option>
+              {headers.map((h, i) => <option key={i} value={i}>{h}</option>)}
+            </select>
           </div>
+        ))}
+      </div>
 
-          {allQuestions.length > 0 && (
-            <>
-              <h2 className="text-2xl font-semibold text-blue-600 mb-6 text-center border-t pt-6 mt-6">Customize Your Quiz</h2>
-              
-              <div className="mb-4">
-                  <label className="block text-sm font-medium text-gray-700 mb-2">Quiz Type</label>
-                  <select onChange={(e) => setQuizType(e.target.value)} value={quizType} className="w-full p-2 border border-gray-300 rounded-md">
-                      <option value="all">Random Mix (All Subjects)</option>
-                      <option value="subject">Specific Subject</option>
-                      <option value="paper">Specific Paper</option>
-                  </select>
-              </div>
+      <div className="mb-4">
+        <label className="block text-sm font-medium text-gray-700 mb-1">Option columns (in order)</label>
+        <div className="flex flex-wrap gap-3 text-sm">
+          {headers.map((h, i) => (
+            <label key={i} className="flex items-center">
+              <input type="checkbox" checked={mapping.options.includes(i)} onChange={() => toggleOption(i)} className="mr-1" />
+              {h}
+            </label>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500 mt-2">The answer column may hold the option text or its letter (A, B, C...).</p>
+      </div>
 
-              {quizType === 'subject' && (
-                <div className="mb-4">
-                  <label className="block text-sm font-medium text-gray-700 mb-2">Select Subject</label>
-                  <select onChange={(e) => setSelectedSubject(e.target.value)} value={selectedSubject} className="w-full p-2 border border-gray-300 rounded-md">
-                      {subjects.map(s => <option key={s} value={s}>{s}</option>)}
-                  </select>
-                </div>
-              )}
+      <div className="flex space-x-4">
+        <button onClick={() => onConfirm(mapping)} disabled={!isMappingComplete(mapping)} className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 disabled:bg-gray-400">Continue</button>
+        <button onClick={onCancel} className="px-6 py-2 bg-gray-300 text-gray-700 font-semibold rounded-lg hover:bg-gray-400">Cancel</button>
+      </div>
+    </div>
+  );
+}
+
+function ImportReport({ report, onImport, onCancel }) {
+  const { fileName, valid, issues, summary } = report;
+  const [showWarnings, setShowWarnings] = useState(false);
+  const [bankName, setBankName] = useState(fileName.replace(/\.[^.]+$/, ''));
+  const visibleIssues = issues.filter(i => showWarnings || i.severity === 'error');
+
+  return (
+    <div className="border-t pt-6 mt-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-2">Import Report: {fileName}</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        {summary.validCount} of {summary.total} questions are valid.{' '}
+        <span className="text-red-600">{summary.errorCount} errors</span>,{' '}
+        <span className="text-yellow-600">{summary.warningCount} warnings</span>.
+      </p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4 text-sm">
+        {[['By Subject', summary.byCategory], ['By Paper', summary.byPaper]].map(([title, counts]) => (
+          <div key={title} className="p-3 bg-gray-50 rounded-lg">
+            <h3 className="font-semibold text-gray-700 mb-1">{title}</h3>
+            {Object.entries(counts).map(([name, count]) => (
+              <div key={name} className="flex justify-between"><span>{name}</span><span className="font-semibold">{count}</span></div>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <div className="mb-4">
+        <label className="block text-sm font-medium text-gray-700 mb-1">Bank name</label>
+        <input type="text" value={bankName} onChange={(e) => setBankName(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md text-sm" />
+        <p className="text-xs text-gray-500 mt-1">Importing under an existing name replaces that bank.</p>
+      </div>
+
+      {issues.length > 0 && (
+        <div className="mb-4">
+          <label className="flex items-center text-sm text-gray-600 mb-2">
+            <input type="checkbox" checked={showWarnings} onChange={(e) => setShowWarnings(e.target.checked)} className="mr-2" />
+            Show warnings
+          </label>
+          <ul className="max-h-60 overflow-y-auto text-sm border rounded-lg divide-y">
+            {visibleIssues.map((issue, i) => (
+              <li key={i} className={`p-2 ${issue.severity === 'error' ? 'text-red-700 bg-red-50' : 'text-yellow-800 bg-yellow-50'}`}>
+                <span className="font-semibold">{issue.index === null ? 'File' : `Record ${issue.index + 1}${issue.position === undefined ? '' : `, question ${issue.position + 1}`}`} · {issue.field}:</span> {issue.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="flex space-x-4">
+        <button onClick={() => onImport(bankName.trim() || fileName)} disabled={valid.length === 0} className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 disabled:bg-gray-400">
+          {summary.errorCount > 0 ? `Import ${valid.length} Valid Questions` : `Import ${valid.length} Questions`}
+        </button>
+        <button onClick={onCancel} className="px-6 py-2 bg-gray-300 text-gray-700 font-semibold rounded-lg hover:bg-gray-400">Cancel</button>
+      </div>
+    </div>
+  );
+}
+
+// Banks bundled under public/banks, loadable with one click. Returning users are told
+// when the manifest version moves on, and which of their loaded banks have a newer copy.
+function BankCatalog() {
+  const { banks, loadQuestions, seenCatalogVersion, acknowledgeCatalog } = useQuizStore();
+  const [manifest, setManifest] = useState(null);
+  const [error, setError] = useState('');
+  const [loadingId, setLoadingId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchCatalog()
+      .then((result) => { if (!cancelled) setManifest(result) })
+      .catch((err) => { if (!cancelled) setError(err.message) });
+    return () => { cancelled = true };
+  }, []);
+
+  // First visit: nothing to announce yet, just remember the version.
+  useEffect(() => {
+    if (manifest && seenCatalogVersion === null) acknowledgeCatalog(manifest.version);
+  }, [manifest, seenCatalogVersion, acknowledgeCatalog]);
+
+  const handleLoad = async (entry) => {
+    const loaded = banks.find(b => b.catalogId === entry.id);
+    if (loaded?.editedAt && !window.confirm(`You have edited "${loaded.name}". Updating replaces your edits; download it from the editor first to keep them. Update anyway?`)) return;
+    setLoadingId(entry.id); setError('');
+    try {
+      const { valid } = validateQuestions(await fetchCatalogBank(entry));
+      loadQuestions(valid, entry.name, { catalogId: entry.id, catalogVersion: entry.version });
+    } catch (err) {
+      console.error("Catalog bank failed to load:", err);
+      setError(err.message);
+    }
+    setLoadingId(null);
+  };
+
+  if (!manifest) {
+    return error ? <p className="mb-6 text-sm text-gray-500 text-center">Bundled question banks are unavailable: {error}</p> : null;
+  }
+
+  const updates = findCatalogUpdates(manifest, banks);
+  const isNewVersion = seenCatalogVersion !== null && seenCatalogVersion !== manifest.version;
+
+  return (
+    <div className="mb-6">
+      <h2 className="text-lg font-medium text-gray-700 mb-2 text-center">Bundled Question Banks</h2>
+      {isNewVersion && (
+        <div role="status" className="mb-3 p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-900 flex justify-between items-center">
+          <span>
+            The question catalog has been updated to version {manifest.version}.
+            {updates.length > 0 && ` New versions of ${updates.length} of your banks are available.`}
+          </span>
+          <button onClick={() => acknowledgeCatalog(manifest.version)} className="ml-4 font-semibold hover:underline">Dismiss</button>
+        </div>
+      )}
+      <ul className="space-y-2">
+        {manifest.banks.map((entry) => {
+          const loaded = banks.find(b => b.catalogId === entry.id);
+          const hasUpdate = updates.includes(entry);
+          return (
+            <li key={entry.id} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg text-sm">
+              <span>
+                <span className="font-medium text-gray-800">{entry.name}</span>
+                <span className="ml-2 text-gray-500">{entry.examSeries} · {entry.questionCount} questions · v{entry.version}</span>
+              </span>
+              <button
+                onClick={() => handleLoad(entry)}
+                disabled={loadingId !== null || (loaded && !hasUpdate)}
+                className="ml-4 px-3 py-1 bg-blue-600 text-white font-semibold rounded-md hover:bg-blue-700 disabled:bg-gray-400"
+              >
+                {loadingId === entry.id ? 'Loading...' : hasUpdate ? `Update to v${entry.version}` : loaded ? 'Loaded' : 'Load'}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+      {error && <p className="text-red-500 text-sm mt-2 text-center">{error}</p>}
+    </div>
+  );
+}
+
+function QuestionLibrary() {
+  const { banks, allQuestions, bankConflicts, duplicateCount, toggleBank, removeBank, aiExplanationCache, clearExplanationCache } = useQuizStore();
+  const [showConflicts, setShowConflicts] = useState(false);
+  const cachedCount = Object.keys(aiExplanationCache).length;
+
+  // Shares the AI work: the bank is downloaded with cached explanations folded into `explanation`.
+  const handleDownloadEnriched = (bank) => {
+    const { questions } = enrichQuestions(bank.questions, aiExplanationCache);
+    downloadJson(`${bank.name}.json`, questions);
+  };
+
+  return (
+    <div className="border-t pt-6 mt-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-4">Question Library</h2>
+      <ul className="space-y-2 mb-3">
+        {banks.map(bank => (
+          <li key={bank.id} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg text-sm">
+            <label className="flex items-center">
+              <input type="checkbox" checked={bank.enabled} onChange={() => toggleBank(bank.id)} className="mr-2" />
+              <span className="font-medium text-gray-800">{bank.name}</span>
+              <span className="ml-2 text-gray-500">({bank.questions.length} questions)</span>
+            </label>
+            <span className="space-x-3">
+              {cachedCount > 0 && (
+                <button onClick={() => handleDownloadEnriched(bank)} className="text-blue-700 hover:underline">
+                  Download with AI explanations ({enrichQuestions(bank.questions, aiExplanationCache).enrichedCount})
+                </button>
+              )}
+              <button onClick={() => removeBank(bank.id)} className="text-red-600 hover:underline">Remove</button>
+            </span>
+          </li>
+        ))}
+      </ul>
+      <p className="text-sm text-gray-600">
+        {allQuestions.length} unique questions in the active banks{duplicateCount > 0 && `, ${duplicateCount} duplicates skipped`}.{' '}
+        <Link to="/editor" className="text-blue-700 hover:underline">Edit questions</Link>
+      </p>
+      {cachedCount > 0 && (
+        <p className="text-sm text-gray-600 mt-1">
+          {cachedCount} AI {cachedCount === 1 ? 'explanation' : 'explanations'} cached.{' '}
+          <button onClick={() => { if (window.confirm('Delete all cached AI explanations?')) clearExplanationCache() }} className="text-red-600 hover:underline">Clear cache</button>
+        </p>
+      )}
+      {bankConflicts.length > 0 && (
+        <div className="mt-3">
+          <button onClick={() => setShowConflicts(!showConflicts)} className="text-sm font-semibold text-yellow-700 hover:underline">
+            {showConflicts ? 'Hide' : 'Show'} {bankConflicts.length} conflicting {bankConflicts.length === 1 ? 'duplicate' : 'duplicates'}
+          </button>
+          {showConflicts && (
+            <ul className="mt-2 max-h-60 overflow-y-auto text-sm border rounded-lg divide-y">
+              {bankConflicts.map(({ reason, kept, dropped }, i) => (
+                <li key={i} className="p-2 bg-yellow-50 text-yellow-900">
+                  <p className="font-semibold">{reason === 'id' ? `Id "${kept.id}" is used by two different questions` : 'Same question, different answers'}</p>
+                  <p>Kept from {kept.bankName}: {kept.question} → <strong>{kept.answer}</strong></p>
+                  <p>Skipped from {dropped.bankName}: {dropped.question} → <strong>{dropped.answer}</strong></p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ExamProfilePicker({ profileId, onChange, pool }) {
+  const profile = getExamProfile(profileId);
+  const shortfalls = useMemo(() => buildExamPaper(pool, profile).shortfalls, [pool, profile]);
+
+  return (
+    <div className="mb-6">
+      <label className="block text-sm font-medium text-gray-700 mb-2">Exam Profile</label>
+      <select onChange={(e) => onChange(e.target.value)} value={profileId} className="w-full p-2 border border-gray-300 rounded-md">
+        {EXAM_PROFILES.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+      </select>
+      <ul className="mt-3 p-3 bg-gray-50 rounded-lg text-sm text-gray-700 space-y-1">
+        <li>{profile.questionCount} questions in {profile.durationMinutes} minutes</li>
+        <li>Negative marking: {profile.negativeMarkRatio * 100}% of a mark per wrong answer</li>
+        <li>Pass mark: {profile.passPercent}%</li>
+        <li>Answers can be changed until you submit; they are not revealed during the test.</li>
+      </ul>
+      {pool.length < profile.questionCount && (
+        <p className="mt-2 text-sm text-yellow-700">The active banks only have {pool.length} questions, so the paper will be shorter.</p>
+      )}
+      {shortfalls.length > 0 && (
+        <div className="mt-2 text-sm text-yellow-700">
+          <p>Not enough questions for the blueprint; the gap is filled from other topics:</p>
+          <ul className="list-disc ml-5">
+            {shortfalls.map(({ category, wanted, available }) => <li key={category}>{category}: {available} of {wanted}</li>)}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const NEGATIVE_MARKING_CHOICES = [
+  { ratio: 0, label: 'No negative marking' },
+  { ratio: 0.25, label: '¼ mark off per wrong answer' },
+  { ratio: 0.5, label: '½ mark off per wrong answer' },
+  { ratio: 1, label: '1 mark off per wrong answer' },
+];
+
+// Settings for a custom quiz, in the shape described in utils/quizBuilder.js.
+// presetName is the preset the settings came from, which labels the attempt.
+function CustomQuizBuilder({ settings, onChange, presetName, onPresetChange, seedText, onSeedTextChange, subjects, papers }) {
+  const { allQuestions, memory, quizPresets, saveQuizPreset, deleteQuizPreset } = useQuizStore();
+  const [newPresetName, setNewPresetName] = useState('');
+
+  const update = (changes) => {
+    onChange({ ...settings, ...changes });
+    onPresetChange('');
+  };
+  const topicOf = (kind, name) => settings.topics.find(t => t.kind === kind && t.name === name);
+  const available = (kind, name) => availableInTopic(allQuestions, memory, settings, { kind, name });
+  const toggleTopic = (kind, name) => update({
+    topics: topicOf(kind, name)
+      ? settings.topics.filter(t => !(t.kind === kind && t.name === name))
+      : [...settings.topics, { kind, name, count: Math.max(1, Math.min(5, available(kind, name))) }],
+  });
+  const setCount = (kind, name, count) => update({
+    topics: settings.topics.map(t => (t.kind === kind && t.name === name ? { ...t, count: Math.max(1, count || 1) } : t)),
+  });
+
+  // A preset can name subjects or papers the active banks no longer have
+  const applyPreset = (name) => {
+    const preset = quizPresets.find(p => p.name === name);
+    if (!preset) return;
+    const loaded = { subject: subjects, paper: papers };
+    onChange({ ...preset.settings, topics: preset.settings.topics.filter(t => loaded[t.kind].includes(t.name)) });
+    onPresetChange(name);
+  };
+  const handleSavePreset = () => {
+    const name = newPresetName.trim();
+    if (quizPresets.some(p => p.name === name) && !window.confirm(`Replace the preset "${name}"?`)) return;
+    saveQuizPreset(name, settings);
+    onPresetChange(name);
+    setNewPresetName('');
+  };
+
+  const total = totalCount(settings.topics);
+  const seedInvalid = seedText.trim() !== '' && parseSeed(seedText) === null;
+
+  const topicList = (kind, title, names) => (
+    <fieldset className="mb-4">
+      <legend className="text-sm font-medium text-gray-700 mb-2">{title}</legend>
+      <div className="max-h-56 overflow-y-auto border border-gray-200 rounded-md divide-y">
+        {names.map((name) => {
+          const topic = topicOf(kind, name);
+          const count = available(kind, name);
+          return (
+            <div key={name} className="flex items-center gap-2 p-2 text-sm">
+              <label className="flex items-center flex-grow min-w-0">
+                <input type="checkbox" checked={Boolean(topic)} onChange={() => toggleTopic(kind, name)} className="mr-2" />
+                <span className="truncate">{name}</span>
+                <span className="ml-2 shrink-0 text-xs text-gray-500">{count} available</span>
+              </label>
+              {topic && (
+                <input
+                  type="number"
+                  min="1"
+                  value={topic.count}
+                  onChange={(e) => setCount(kind, name, parseInt(e.target.value, 10))}
+                  aria-label={`Questions from ${name}`}
+                  className={`w-20 p-1 border rounded-md ${topic.count > count ? 'border-yellow-500' : 'border-gray-300'}`}
+                />
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </fieldset>
+  );
+
+  const shortTopics = settings.topics.filter(t => t.count > available(t.kind, t.name));
+
+  return (
+    <div className="mb-6">
+      {quizPresets.length > 0 && (
+        <div className="mb-4 flex items-end gap-2">
+          <label className="flex-grow text-sm font-medium text-gray-700">
+            Preset
+            <select value={presetName} onChange={(e) => applyPreset(e.target.value)} className="mt-1 w-full p-2 border border-gray-300 rounded-md">
+              <option value="">Choose a saved preset...</option>
+              {quizPresets.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+            </select>
+          </label>
+          {presetName && (
+            <button onClick={() => { deleteQuizPreset(presetName); onPresetChange(''); }} className="px-3 py-2 text-sm text-red-600 border border-red-200 rounded-md hover:bg-red-50">Delete</button>
+          )}
+        </div>
+      )}
+
+      {topicList('subject', 'Subjects', subjects)}
+      {topicList('paper', 'Papers', papers)}
+      <p className="text-sm text-gray-700 mb-1">Questions in this quiz: <span className="font-semibold">{total}</span></p>
+      <p className="text-xs text-gray-500 mb-4">A question that is in both a chosen subject and a chosen paper is only asked once.</p>
+      {shortTopics.length > 0 && (
+        <div className="mb-4 text-sm text-yellow-700">
+          <p>Not enough questions for some topics, so the quiz will be shorter:</p>
+          <ul className="list-disc ml-5">
+            {shortTopics.map(t => <li key={`${t.kind}:${t.name}`}>{t.name}: {available(t.kind, t.name)} of {t.count}</li>)}
+          </ul>
+        </div>
+      )}
+
+      <fieldset className="mb-4">
+        <legend className="text-sm font-medium text-gray-700 mb-2">Questions to include</legend>
+        {HISTORY_FILTERS.map(f => (
+          <label key={f.id} className="flex items-center text-sm text-gray-700 mb-1">
+            <input type="radio" name="history" checked={settings.history === f.id} onChange={() => update({ history: f.id })} className="mr-2" />
+            {f.label}
+          </label>
+        ))}
+        <label className="flex items-center text-sm text-gray-700 mt-2">
+          <input type="checkbox" checked={settings.excludeMastered} onChange={(e) => update({ excludeMastered: e.target.checked })} className="mr-2" />
+          Leave out questions I've mastered (right three times in a row)
+        </label>
+      </fieldset>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+        <label className="text-sm font-medium text-gray-700">
+          Duration (minutes)
+          <input
+            type="number"
+            min="1"
+            value={settings.durationMinutes ?? ''}
+            placeholder={`${Math.ceil(total * 1.2)} (1.2 per question)`}
+            onChange={(e) => update({ durationMinutes: e.target.value === '' ? null : Math.max(1, parseInt(e.target.value, 10) || 1) })}
+            className="mt-1 w-full p-2 border border-gray-300 rounded-md"
+          />
+        </label>
+        <label className="text-sm font-medium text-gray-700">
+          Negative marking
+          <select value={settings.negativeMarkRatio} onChange={(e) => update({ negativeMarkRatio: Number(e.target.value) })} className="mt-1 w-full p-2 border border-gray-300 rounded-md">
+            {NEGATIVE_MARKING_CHOICES.map(c => <option key={c.ratio} value={c.ratio}>{c.label}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <label className="block text-sm font-medium text-gray-700 mb-4">
+        Seed
+        <input
+          type="text"
+          inputMode="numeric"
+          value={seedText}
+          placeholder="Leave blank for a new quiz"
+          onChange={(e) => onSeedTextChange(e.target.value)}
+          className={`mt-1 w-full p-2 border rounded-md ${seedInvalid ? 'border-red-400' : 'border-gray-300'}`}
+        />
+        <span className={`block mt-1 text-xs font-normal ${seedInvalid ? 'text-red-500' : 'text-gray-500'}`}>
+          {seedInvalid
+            ? 'A seed is a whole number up to 4294967295.'
+            : "Enter the seed from a colleague's results to get the same questions, as long as you have the same banks loaded and, with the history options, the same answer history."}
+        </span>
+      </label>
+
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={newPresetName}
+          onChange={(e) => setNewPresetName(e.target.value)}
+          placeholder="Preset name"
+          aria-label="Preset name"
+          className="flex-grow p-2 border border-gray-300 rounded-md text-sm"
+        />
+        <button onClick={handleSavePreset} disabled={!newPresetName.trim() || settings.topics.length === 0} className="px-4 py-2 text-sm bg-white text-blue-700 font-semibold border border-blue-200 rounded-md hover:bg-blue-50 disabled:opacity-50">Save as Preset</button>
+      </div>
+    </div>
+  );
+}
+
+function HomePage() {
+  const { startQuiz, loadQuestions, allQuestions, banks, isTestRunning, questions, attempts, memory } = useQuizStore();
+  const navigate = useNavigate();
+  const [quizType, setQuizType] = useState('all'); // all, subject, paper, review, exam, custom
+  const [selectedSubject, setSelectedSubject] = useState('');
+  const [selectedPaper, setSelectedPaper] = useState('');
+  const [selectedProfileId, setSelectedProfileId] = useState(EXAM_PROFILES[0].id);
+  const [numQuestions, setNumQuestions] = useState(10);
+  const [practiceMode, setPracticeMode] = useState(false);
+  const [customSettings, setCustomSettings] = useState(DEFAULT_CUSTOM_QUIZ);
+  const [presetName, setPresetName] = useState('');
+  const [seedText, setSeedText] = useState('');
+  const [showAiSettings, setShowAiSettings] = useState(false);
+  const [error, setError] = useState('');
+  const [importReport, setImportReport] = useState(null);
+  const [csvImport, setCsvImport] = useState(null);
+
+  const handleImport = (bankName) => {
+    loadQuestions(importReport.valid, bankName);
+    setImportReport(null);
+  };
+
+  const handleJsonContent = (fileName, content) => {
+    try {
+      const parsedQuestions = JSON.parse(content);
+      if (Array.isArray(parsedQuestions) && parsedQuestions.length > 0) {
+          setImportReport({ fileName, ...validateQuestions(parsedQuestions) });
+          setError('');
+      } else {
+          setError("Invalid JSON format. Expected an array of questions.");
+      }
+    } catch (err) {
+      setError("Error parsing JSON file.");
+      console.error(err);
+    }
+  };
+
+  const handleDelimitedContent = (fileName, content) => {
+    const [headers, ...rows] = parseDelimited(content, detectDelimiter(content, fileName));
+    if (!headers || rows.length === 0) {
+      setError("The file needs a header row and at least one question row.");
+      return;
+    }
+    setCsvImport({ fileName, headers, rows, mapping: guessColumnMapping(headers) });
+    setError('');
+  };
+
+  const handleFileChange = (event) => {
+    const file = event.target.files[0];
+    // Spreadsheet exports come with all sorts of MIME types, so go by extension.
+    if (file && SUPPORTED_FILE_PATTERN.test(file.name)) {
+      const reader = new FileReader();
+      reader.onload = (e) => {
+        setImportReport(null);
+        setCsvImport(null);
+        if (/\.json$/i.test(file.name)) handleJsonContent(file.name, e.target.result);
+        else handleDelimitedContent(file.name, e.target.result);
+      };
+      reader.readAsText(file);
+    } else {
+      setError("Please select a JSON, CSV or TSV file.");
+    }
+  };
+
+  const handleMappingConfirm = (mapping) => {
+    const questions = rowsToQuestions(csvImport.rows, mapping);
+    setImportReport({ fileName: csvImport.fileName, ...validateQuestions(questions) });
+    setCsvImport(null);
+  };
+
+  const { subjects, papers, maxQuestions } = useMemo(() => {
+      if (allQuestions.length === 0) return { subjects: [], papers: [], maxQuestions: 0 };
+
+      const subjects = [...new Set(allQuestions.map(q => q.category))];
+      const papers = [...new Set(allQuestions.map(q => q.subCategory))];
+      
+      let currentMax = allQuestions.length;
+      if (quizType === 'subject') {
+          currentMax = allQuestions.filter(q => q.category === selectedSubject).length;
+      } else if (quizType === 'paper') {
+          currentMax = allQuestions.filter(q => q.subCategory === selectedPaper).length;
+      } else if (quizType === 'review') {
+          currentMax = selectReviewQuestions(allQuestions, memory).length;
+      } else if (quizType === 'exam') {
+          currentMax = Math.min(getExamProfile(selectedProfileId).questionCount, allQuestions.length);
+      } else if (quizType === 'custom') {
+          currentMax = customQuizPool(allQuestions, memory, customSettings).length;
+      }
+      
+      // The active banks can change underneath a previous selection
+      if(!subjects.includes(selectedSubject) && subjects.length > 0) setSelectedSubject(subjects[0]);
+      if(!papers.includes(selectedPaper) && papers.length > 0) setSelectedPaper(papers[0]);
+
+      return { subjects, papers, maxQuestions: currentMax };
+  }, [quizType, selectedSubject, selectedPaper, selectedProfileId, customSettings, allQuestions, memory]);
+
+  const dueSummary = useQuizStore(state => state.getDueSummary());
+
+  // Nothing to clamp to before a bank is loaded; Start is disabled until then anyway
+  useEffect(() => {
+      if (maxQuestions > 0 && numQuestions > maxQuestions) {
+          setNumQuestions(maxQuestions);
+      }
+  }, [maxQuestions, numQuestions]);
+
+  const handleStartQuiz = () => {
+    let config = { type: 'all', value: null, count: numQuestions };
+    if (quizType === 'subject') {
+        config = { type: 'subject', value: selectedSubject, count: numQuestions };
+    } else if (quizType === 'paper') {
+        config = { type: 'paper', value: selectedPaper, count: numQuestions };
+    } else if (quizType === 'review') {
+        config = { type: 'review', value: null, count: numQuestions };
+    } else if (quizType === 'exam') {
+        config = { type: 'exam', value: selectedProfileId, count: maxQuestions };
+    } else if (quizType === 'custom') {
+        config = { type: 'custom', value: presetName || null, ...customSettings, count: totalCount(customSettings.topics) };
+        const seed = parseSeed(seedText);
+        if (seed !== null) config.seed = seed;
+    }
+    if (practiceMode && quizType !== 'exam') config.practice = true;
+    startQuiz(config);
+    // The link carries the seed startQuiz drew with, so a reload gets the same questions
+    navigate(`/quiz${configToSearch(useQuizStore.getState().quizConfig)}`);
+  };
+
+  const customNotReady = quizType === 'custom'
+    && (customSettings.topics.length === 0 || (seedText.trim() !== '' && parseSeed(seedText) === null));
+
+  return (
+    <main className="flex min-h-screen flex-col items-center justify-center p-8 bg-gray-50">
+      <div className="w-full max-w-2xl text-center">
+        <h1 className="text-4xl font-bold text-gray-800 mb-4">NISM Derivatives Practice Exam</h1>
+        <p className="text-lg text-gray-600 mb-12">Pick a bundled question bank or load your own file (JSON, CSV or TSV) to begin.</p>
+
+        {isTestRunning && questions.length > 0 && <ResumeBanner />}
+
+        {attempts.length > 0 && (
+          <button onClick={() => navigate('/history')} className="mb-8 px-6 py-2 bg-white text-blue-700 font-semibold rounded-lg shadow border border-blue-200 hover:bg-blue-50">
+            View Progress ({attempts.length} {attempts.length === 1 ? 'attempt' : 'attempts'})
+          </button>
+        )}
+        
+        <div className="p-8 bg-white rounded-xl shadow-lg border border-gray-200 text-left">
+          {!importReport && !csvImport && <BankCatalog />}
+          <div className="mb-6">
+            <label className="block text-lg font-medium text-gray-700 mb-2 text-center">
+              {banks.length > 0 ? 'Add Question File' : 'Load Question File'}
+            </label>
+            <input 
+              type="file" 
+              accept=".json,.csv,.tsv,.txt" 
+              onChange={handleFileChange}
+              className="w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+            />
+            {error && <p className="text-red-500 text-sm mt-2 text-center">{error}</p>}
+          </div>
+
+          {csvImport && <ColumnMapper csvImport={csvImport} onConfirm={handleMappingConfirm} onCancel={() => setCsvImport(null)} />}
+
+          {importReport && <ImportReport report={importReport} onImport={handleImport} onCancel={() => setImportReport(null)} />}
+
+          {banks.length > 0 && !importReport && !csvImport && <QuestionLibrary />}
+
+          {allQuestions.length > 0 && !importReport && !csvImport && (
+            <>
+              <h2 className="text-2xl font-semibold text-blue-600 mb-6 text-center border-t pt-6 mt-6">Customize Your Quiz</h2>
+              
+              <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Quiz Type</label>
+                  <select onChange={(e) => setQuizType(e.target.value)} value={quizType} className="w-full p-2 border border-gray-300 rounded-md">
+                      <option value="all">Random Mix (All Subjects)</option>
+                      <option value="subject">Specific Subject</option>
+                      <option value="paper">Specific Paper</option>
+                      <option value="review">Review Due Questions ({dueSummary.total} due)</option>
+                      <option value="exam">Exam Simulation</option>
+                      <option value="custom">Custom Quiz Builder</option>
+                  </select>
+              </div>
+
+              {quizType === 'review' && (
+                <div className="mb-4 p-3 bg-gray-50 rounded-lg text-sm text-gray-700">
+                  {Object.keys(dueSummary.byCategory).length > 0 ? (
+                    Object.entries(dueSummary.byCategory).map(([category, count]) => (
+                      <div key={category} className="flex justify-between"><span>{category}</span><span className="font-semibold">{count} due</span></div>
+                    ))
+                  ) : (
+                    <p>Nothing is due right now. Questions you have missed before are still offered as weak spots.</p>
+                  )}
+                </div>
+              )}
+
+              {quizType === 'subject' && (
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Select Subject</label>
+                  <select onChange={(e) => setSelectedSubject(e.target.value)} value={selectedSubject} className="w-full p-2 border border-gray-300 rounded-md">
+                      {subjects.map(s => <option key={s} value={s}>{s}</option>)}
+                  </select>
+                </div>
+              )}
 
               {quizType === 'paper' && (
                 <div className="mb-4">
@@ -368,169 +1598,703 @@ function HomePage({ navigate }) {
                 </div>
               )}
 
-              <div className="mb-6">
-                <label htmlFor="numQuestions" className="block text-lg font-medium text-gray-700 mb-2">
-                  Number of Questions: <span className="font-bold text-blue-600">{numQuestions}</span>
-                </label>
-                <input
-                  type="range"
-                  id="numQuestions"
-                  min="1"
-                  max={maxQuestions}
-                  value={numQuestions}
-                  onChange={(e) => setNumQuestions(Number(e.target.value))}
-                  className="w-full h-3 bg-gray-200 rounded-lg appearance-none cursor-pointer range-lg"
+              {quizType === 'exam' && (
+                <ExamProfilePicker profileId={selectedProfileId} onChange={setSelectedProfileId} pool={allQuestions} />
+              )}
+
+              {quizType === 'custom' && (
+                <CustomQuizBuilder
+                  settings={customSettings}
+                  onChange={setCustomSettings}
+                  presetName={presetName}
+                  onPresetChange={setPresetName}
+                  seedText={seedText}
+                  onSeedTextChange={setSeedText}
+                  subjects={subjects}
+                  papers={papers}
                 />
-                 <p className="text-xs text-gray-500 mt-2 text-center">Available questions for this selection: {maxQuestions}</p>
-              </div>
+              )}
+
+              {quizType !== 'exam' && quizType !== 'custom' && (
+                <div className="mb-6">
+                  <label htmlFor="numQuestions" className="block text-lg font-medium text-gray-700 mb-2">
+                    Number of Questions: <span className="font-bold text-blue-600">{numQuestions}</span>
+                  </label>
+                  <input
+                    type="range"
+                    id="numQuestions"
+                    min="1"
+                    max={maxQuestions}
+                    value={numQuestions}
+                    onChange={(e) => setNumQuestions(Number(e.target.value))}
+                    className="w-full h-3 bg-gray-200 rounded-lg appearance-none cursor-pointer range-lg"
+                  />
+                   <p className="text-xs text-gray-500 mt-2 text-center">Available questions for this selection: {maxQuestions}</p>
+                </div>
+              )}
+
+              {quizType !== 'exam' && (
+                <label className="flex items-start mb-6 text-sm text-gray-700">
+                  <input type="checkbox" checked={practiceMode} onChange={(e) => setPracticeMode(e.target.checked)} className="mt-1 mr-2" />
+                  <span><span className="font-medium">Practice mode</span>: no timer, see the answer and explanation straight away, and missed questions come back until you get them right.</span>
+                </label>
+              )}
+
+              <button
+                onClick={handleStartQuiz}
+                disabled={numQuestions === 0 || maxQuestions === 0 || customNotReady}
+                className="w-full px-6 py-4 bg-blue-600 text-white font-semibold text-lg rounded-lg shadow-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-75 transition-transform transform hover:scale-105 disabled:bg-gray-400 disabled:scale-100"
+              >
+                Start Quiz
+              </button>
+            </>
+          )}
+
+          <div className="border-t pt-4 mt-6">
+            <button onClick={() => setShowAiSettings(!showAiSettings)} className="text-sm font-semibold text-blue-700 hover:underline">
+              {showAiSettings ? 'Hide AI Settings' : 'AI Settings'}
+            </button>
+            {showAiSettings && <AiSettingsPanel />}
+          </div>
+        </div>
+      </div>
+    </main>
+  );
+}
+
+const KEYBOARD_SHORTCUTS = [
+  ['1–4 or A–D', 'Choose an option (toggle it on multi-select questions)'],
+  ['↑ / ↓', 'Move between options'],
+  ['→ or N', 'Next question'],
+  ['← or P', 'Previous question'],
+  ['M', 'Mark or unmark for review'],
+  ['Enter', 'Check answer'],
+  ['?', 'Show or hide this help'],
+  ['Esc', 'Close dialogs'],
+];
+
+// Window-level quiz shortcuts. Reads the store at key time so the handler never goes stale.
+const useQuizShortcuts = ({ onNext, onPrev, onToggleHelp, helpOpen, enabled }) => {
+  const handlers = useRef();
+  handlers.current = { onNext, onPrev, onToggleHelp, helpOpen };
+
+  useEffect(() => {
+    if (!enabled) return;
+    const handleKeyDown = (event) => {
+      if (event.ctrlKey || event.metaKey || event.altKey) return;
+      const { tagName, isContentEditable } = event.target;
+      if (['INPUT', 'SELECT', 'TEXTAREA'].includes(tagName) || isContentEditable) return;
+
+      const key = event.key.toLowerCase();
+      if (key === '?') { handlers.current.onToggleHelp(); event.preventDefault(); return; }
+      if (handlers.current.helpOpen) return;
+
+      const { questions, currentQuestionIndex, selectAnswer, checkAnswer, toggleMarkForReview, quizConfig } = useQuizStore.getState();
+      const question = questions[currentQuestionIndex];
+      if (!question) return;
+      const optionIndex = /^[1-9]$/.test(key) ? Number(key) - 1 : /^[a-h]$/.test(key) ? key.charCodeAt(0) - 97 : -1;
+
+      const options = question.options || []; // Numeric questions have none
+      if (optionIndex >= 0 && optionIndex < options.length) {
+        if (!question.showAnswer) {
+          const option = options[optionIndex];
+          selectAnswer(question.id, questionType(question) === 'multi' ? toggleOption(question, question.userAnswer, option) : option);
+        }
+      } else if (key === 'arrowright' || key === 'n') {
+        handlers.current.onNext();
+      } else if (key === 'arrowleft' || key === 'p') {
+        handlers.current.onPrev();
+      } else if (key === 'm' && !quizConfig?.practice) {
+        toggleMarkForReview(question.id);
+      } else if (key === 'enter' && tagName !== 'BUTTON') {
+        if (hasAnswer(question.userAnswer) && !question.showAnswer) checkAnswer(question.id);
+      } else {
+        return;
+      }
+      event.preventDefault();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+};
+
+function ShortcutHelp({ onClose }) {
+  const closeRef = useRef(null);
+  useModal(onClose, closeRef);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4" onClick={onClose}>
+      <div role="dialog" aria-modal="true" aria-labelledby="shortcut-help-title" className="w-full max-w-md bg-white rounded-xl shadow-xl p-6" onClick={(e) => e.stopPropagation()}>
+        <h2 id="shortcut-help-title" className="text-xl font-semibold text-gray-800 mb-4">Keyboard Shortcuts</h2>
+        <dl className="grid grid-cols-2 gap-y-2 text-sm mb-6">
+          {KEYBOARD_SHORTCUTS.map(([keys, action]) => (
+            <React.Fragment key={keys}>
+              <dt><kbd className="px-2 py-1 bg-gray-100 border border-gray-300 rounded font-mono">{keys}</kbd></dt>
+              <dd className="text-gray-700">{action}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+        <div className="flex justify-end">
+          <button ref={closeRef} onClick={onClose} className="px-6 py-2 bg-gray-300 text-gray-700 font-semibold rounded-lg hover:bg-gray-400">Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function QuizPage() {
+  const { questions, currentQuestionIndex, navigateToQuestion, nextPracticeQuestion, practiceQueue, getQuizPool, startQuiz, submitTest, isTestRunning, finalResults, quizConfig } = useQuizStore();
+  const navigate = useNavigate();
+  const { search, state } = useLocation();
+  const currentQuestion = questions[currentQuestionIndex];
+  const isPractice = Boolean(quizConfig?.practice);
+  const [showSubmitDialog, setShowSubmitDialog] = useState(false);
+  const [showHelp, setShowHelp] = useState(false);
+
+  const handleNext = () => isPractice ? nextPracticeQuestion() : navigateToQuestion(currentQuestionIndex + 1);
+  const handlePrev = () => navigateToQuestion(currentQuestionIndex - 1);
+  const closeSubmitDialog = useCallback(() => setShowSubmitDialog(false), []);
+  const closeHelp = useCallback(() => setShowHelp(false), []);
+  useQuizShortcuts({
+    onNext: handleNext,
+    onPrev: handlePrev,
+    onToggleHelp: () => setShowHelp(open => !open),
+    helpOpen: showHelp,
+    enabled: isTestRunning && !showSubmitDialog,
+  });
+  
+  useEffect(() => {
+    if (finalResults) { navigate(`/results/${finalResults.id}`, { replace: true }); return; }
+    if (useQuizStore.getState().isTestRunning) {
+      // Mark this history entry, so Back or a reload onto it once the quiz is over goes home
+      // instead of starting the quiz again
+      if (!state?.quizStarted) navigate(`/quiz${search}`, { replace: true, state: { quizStarted: true } });
+      return;
+    }
+    // Retake asks for a new start; a bookmarked or shared link checks first, as long as
+    // the loaded banks can supply the quiz
+    const config = configFromSearch(search);
+    const canStart = !state?.quizStarted && config && getQuizPool(config).length > 0;
+    if (canStart && (state?.startQuiz || window.confirm('Start a new quiz from this link?'))) startQuiz(config);
+    else navigate('/', { replace: true });
+  }, [isTestRunning, finalResults, search, state, getQuizPool, startQuiz, navigate]);
+
+  // Time on a question only counts while it is on screen in a visible tab.
+  useEffect(() => {
+    const { resumeQuestionTimer, pauseQuestionTimer } = useQuizStore.getState();
+    const handleVisibility = () => (document.hidden ? pauseQuestionTimer() : resumeQuestionTimer());
+    if (!document.hidden) resumeQuestionTimer();
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibility);
+      pauseQuestionTimer();
+    };
+  }, [isTestRunning]);
+
+  if (!isTestRunning || !currentQuestion) { return <div className="flex h-screen items-center justify-center">Loading quiz...</div> }
+
+  const handleSubmit = () => setShowSubmitDialog(true);
+  const isLastQuestion = isPractice ? practiceQueue.length === 0 : currentQuestionIndex === questions.length - 1;
+  const isPracticeDone = isPractice && isLastQuestion && questions.every(q => isCorrectAnswer(q, q.userAnswer));
+
+  return (
+    <div className="flex flex-col md:flex-row min-h-screen bg-gray-100">
+      <div className="w-full md:w-2/3 p-4 md:p-8 flex flex-col">
+        <div className="bg-white p-6 rounded-lg shadow-md flex-grow">
+          <QuestionCard question={currentQuestion} questionNumber={currentQuestionIndex + 1} />
+        </div>
+        <div className="mt-6 flex justify-between items-center">
+          <button onClick={handlePrev} disabled={currentQuestionIndex === 0} className="px-6 py-2 bg-gray-300 text-gray-700 font-semibold rounded-lg disabled:opacity-50 hover:bg-gray-400">Previous</button>
+          <button onClick={handleSubmit} className={`px-6 py-2 text-white font-semibold rounded-lg ${isPracticeDone ? 'bg-green-600 hover:bg-green-700' : 'bg-red-600 hover:bg-red-700'}`}>
+            {isPractice ? (isPracticeDone ? 'Finish Practice' : 'End Practice') : 'Submit Test'}
+          </button>
+          <button onClick={handleNext} disabled={isLastQuestion} className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg disabled:opacity-50 hover:bg-blue-700">Next</button>
+        </div>
+      </div>
+      <div className="w-full md:w-1/3 p-4 md:p-8 bg-white border-l border-gray-200">
+        <div className="sticky top-8">
+          {isPractice ? <PracticeProgress /> : <QuizTimer />}
+          <QuizSummary />
+          <button onClick={() => setShowHelp(true)} className="mt-6 text-sm text-blue-700 hover:underline">Keyboard shortcuts (?)</button>
+        </div>
+      </div>
+      {showSubmitDialog && <SubmitDialog onConfirm={submitTest} onCancel={closeSubmitDialog} />}
+      {showHelp && <ShortcutHelp onClose={closeHelp} />}
+    </div>
+  );
+}
+
+// navigator.onLine, kept current by the browser's online/offline events.
+function useOnlineStatus() {
+  const [online, setOnline] = useState(() => navigator.onLine);
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+  return online;
+}
+
+function OfflineIndicator() {
+  const online = useOnlineStatus();
+  if (online) return null;
+  return (
+    <div role="status" className="fixed bottom-4 left-4 z-50 px-4 py-2 bg-gray-800 text-white text-sm rounded-full shadow-lg print:hidden">
+      Offline: quizzes and your progress still work, AI features are paused.
+    </div>
+  );
+}
+
+function StorageNotice() {
+  const storageNotice = useQuizStore(state => state.storageNotice);
+  if (!storageNotice) return null;
+  return (
+    <div role="alert" className="fixed top-4 left-1/2 -translate-x-1/2 z-50 w-[min(90%,40rem)] p-3 bg-yellow-50 border border-yellow-300 rounded-lg shadow-lg text-sm text-yellow-900 flex justify-between items-start gap-3 print:hidden">
+      <span>{storageNotice}</span>
+      <button onClick={() => useQuizStore.setState({ storageNotice: null })} className="font-semibold hover:underline">Dismiss</button>
+    </div>
+  );
+}
+
+// Shown instead of AI output when the provider is missing or a request fails.
+function AiUnavailable({ error, onRetry, onConfigure }) {
+  const isConfig = error instanceof AIConfigError;
+  return (
+    <div role="alert" className="my-3 p-3 bg-gray-100 border border-gray-300 rounded-lg text-sm text-gray-700">
+      <p><strong>AI unavailable.</strong> {error.message}</p>
+      <div className="mt-2 space-x-4">
+        {onRetry && !isConfig && <button onClick={onRetry} className="text-blue-700 font-semibold hover:underline">Try again</button>}
+        {onConfigure && <button onClick={onConfigure} className="text-blue-700 font-semibold hover:underline">AI settings</button>}
+      </div>
+    </div>
+  );
+}
+
+function AiSettingsPanel({ onClose }) {
+  const { aiSettings, updateAiSettings } = useQuizStore();
+  const { provider } = aiSettings;
+  const field = (key, label, props = {}) => (
+    <div>
+      <label htmlFor={`ai-${key}`} className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <input id={`ai-${key}`} value={aiSettings[key]} onChange={(e) => updateAiSettings({ [key]: e.target.value })} className="w-full p-2 border border-gray-300 rounded-md text-sm" {...props} />
+    </div>
+  );
+  // Number fields keep what is typed and are brought into range when the user leaves them.
+  const numberField = (key, label, props) => field(key, label, {
+    type: 'number', ...AI_SETTING_LIMITS[key], ...props,
+    onBlur: () => updateAiSettings({ [key]: clampAiSetting(key, aiSettings[key]) }),
+  });
 
-              <button
-                onClick={handleStartQuiz}
-                disabled={numQuestions === 0 || maxQuestions === 0}
-                className="w-full px-6 py-4 bg-blue-600 text-white font-semibold text-lg rounded-lg shadow-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-75 transition-transform transform hover:scale-105 disabled:bg-gray-400 disabled:scale-100"
-              >
-                Start Quiz
-              </button>
-            </>
-          )}
-        </div>
+  return (
+    <div className="my-4 p-4 bg-white border border-gray-200 rounded-lg text-left space-y-3">
+      <div className="flex justify-between items-center">
+        <h3 className="text-lg font-semibold text-gray-800">AI Settings</h3>
+        {onClose && <button onClick={onClose} className="text-sm text-gray-600 hover:underline">Close</button>}
       </div>
-    </main>
+      <div>
+        <label htmlFor="ai-provider" className="block text-sm font-medium text-gray-700 mb-1">Provider</label>
+        <select id="ai-provider" value={provider} onChange={(e) => updateAiSettings({ provider: e.target.value, model: '' })} className="w-full p-2 border border-gray-300 rounded-md text-sm">
+          {Object.entries(AI_PROVIDERS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+      </div>
+      {provider === 'openai' && field('baseUrl', 'Base URL', { placeholder: 'http://localhost:11434/v1' })}
+      {(provider === 'gemini' || provider === 'openai') && (
+        <>
+          {field('apiKey', provider === 'openai' ? 'API key (optional for local servers)' : 'API key', { type: 'password', autoComplete: 'off' })}
+          {field('model', 'Model', { placeholder: AI_PROVIDERS[provider].defaultModel })}
+          <div className="grid grid-cols-2 gap-3">
+            {numberField('timeoutMs', 'Timeout (ms)', { step: 1000 })}
+            {numberField('maxRetries', 'Retries')}
+          </div>
+          <p className="text-xs text-gray-500">Your key is stored in this browser only and sent straight to the provider.</p>
+        </>
+      )}
+    </div>
   );
 }
 
-function QuizPage({ navigate }) {
-  const { questions, currentQuestionIndex, navigateToQuestion, submitTest, isTestRunning, finalResults } = useQuizStore();
-  const currentQuestion = questions[currentQuestionIndex];
-  
-  useEffect(() => {
-    if (!isTestRunning && !finalResults) { navigate('home') }
-    if (finalResults) { navigate('results') }
-  }, [isTestRunning, finalResults, navigate]);
+const RESULT_LABELS = {
+  correct: { text: 'Correct', color: 'text-green-600' },
+  partial: { text: 'Partly right', color: 'text-yellow-600' },
+  incorrect: { text: 'Wrong', color: 'text-red-600' },
+  unanswered: { text: 'Not answered', color: 'text-gray-500' },
+};
 
-  if (!isTestRunning || !currentQuestion) { return <div className="flex h-screen items-center justify-center">Loading quiz...</div> }
+// Print-only version of a results page: the summary, topic table and full answer review
+// on plain paper. The browser's print dialog also saves it as a PDF.
+function AttemptReport({ attempt, traineeName, aiExplanationCache, studyPlan }) {
+  const { score, totalQuestions, passed, topicAnalysis, answeredQuestions, accuracy, correctCount, incorrectCount, partialCount = 0 } = attempt;
+  const rules = attempt.rules || DEFAULT_RULES;
+  const unanswered = totalQuestions - correctCount - incorrectCount - partialCount;
 
-  const handleNext = () => navigateToQuestion(currentQuestionIndex + 1);
-  const handlePrev = () => navigateToQuestion(currentQuestionIndex - 1);
-  const handleSubmit = () => submitTest();
+  return (
+    <article className="hidden print:block text-sm text-gray-900">
+      <header className="mb-6 pb-4 border-b">
+        <h1 className="text-2xl font-bold">NISM Practice Test Report</h1>
+        <p>{traineeName || 'Name not given'} · {new Date(attempt.date).toLocaleString()}</p>
+        <p>{attempt.label}{rules.profileName ? ' (exam simulation)' : ''} · Time taken {formatDuration(attempt.timeTakenSeconds)}</p>
+      </header>
+      <section className="mb-6">
+        <p className={`text-xl font-bold ${passed ? 'text-green-700' : 'text-red-700'}`}>{passed ? 'PASS' : 'FAIL'}: {score.toFixed(2)} / {totalQuestions} marks</p>
+        <p>Pass mark {rules.passPercent}% ({(totalQuestions * rules.passPercent / 100).toFixed(2)} marks), −{rules.negativeMarkRatio} per wrong answer.</p>
+        <p>Accuracy {accuracy.toFixed(2)}%: {correctCount} correct, {partialCount > 0 ? `${partialCount} partly right, ` : ''}{incorrectCount} wrong, {unanswered} not answered.</p>
+      </section>
+      <section className="mb-6">
+        <h2 className="text-lg font-semibold mb-2">Performance by Topic</h2>
+        <table className="w-full text-left border-collapse">
+          <thead><tr className="border-b"><th className="py-1">Topic</th><th className="py-1">Correct</th><th className="py-1">Answered</th><th className="py-1">Unanswered</th><th className="py-1">Accuracy</th></tr></thead>
+          <tbody>
+            {topicAnalysis.map(t => (
+              <tr key={t.topic} className="border-b"><td className="py-1">{t.topic}</td><td className="py-1">{t.correct}</td><td className="py-1">{t.total}</td><td className="py-1">{t.unanswered ?? '–'}</td><td className="py-1">{t.accuracy.toFixed(0)}%</td></tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+      {studyPlan && (
+        <section className="mb-6">
+          <h2 className="text-lg font-semibold mb-2">Study Plan</h2>
+          <Markdown source={studyPlan} className="prose prose-sm max-w-none" />
+        </section>
+      )}
+      <section>
+        <h2 className="text-lg font-semibold mb-2">Answer Review</h2>
+        {answeredQuestions.map((q, index) => {
+          const answer = scoredAnswer(q);
+          const result = RESULT_LABELS[responseResult(q)];
+          const aiExplanation = getCachedExplanation(aiExplanationCache, q, answer);
+          // A case passage is printed once, above the first of its questions.
+          const newCase = q.caseId && answeredQuestions[index - 1]?.caseId !== q.caseId;
+          return (
+            <div key={q.id} className="py-3 border-b break-inside-avoid">
+              {newCase && <CasePassage question={q} />}
+              <p className="font-semibold">Q{index + 1}. {q.question}</p>
+              <p className="text-xs text-gray-600 mb-1">{q.category} · {q.subCategory}</p>
+              <AssertionReason question={q} />
+              <p>Your answer: {formatAnswer(q, answer) || 'Not answered'} <span className={`font-semibold ${result.color}`}>({result.text})</span></p>
+              <p>Correct answer: {formatCorrectAnswer(q)}</p>
+              {q.explanation && <Markdown source={q.explanation} className="prose prose-sm max-w-none text-gray-700" />}
+              {aiExplanation && <Markdown source={aiExplanation} className="prose prose-sm max-w-none text-gray-700" />}
+            </div>
+          );
+        })}
+      </section>
+    </article>
+  );
+}
+
+// The seed an attempt was drawn with, and a link that draws the same quiz for anyone
+// with the same banks loaded.
+function QuizLink({ quiz, onRetake }) {
+  const [copied, setCopied] = useState(false);
+  const url = `${window.location.origin}${process.env.PUBLIC_URL}/quiz${configToSearch(quiz)}`;
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch (err) {
+      window.prompt('Copy this quiz link:', url); // Clipboard access can be refused
+    }
+  };
 
   return (
-    <div className="flex flex-col md:flex-row min-h-screen bg-gray-100">
-      <div className="w-full md:w-2/3 p-4 md:p-8 flex flex-col">
-        <div className="bg-white p-6 rounded-lg shadow-md flex-grow">
-          <QuestionCard question={currentQuestion} questionNumber={currentQuestionIndex + 1} />
-        </div>
-        <div className="mt-6 flex justify-between items-center">
-          <button onClick={handlePrev} disabled={currentQuestionIndex === 0} className="px-6 py-2 bg-gray-300 text-gray-700 font-semibold rounded-lg disabled:opacity-50 hover:bg-gray-400">Previous</button>
-          <button onClick={handleSubmit} className="px-6 py-2 bg-red-600 text-white font-semibold rounded-lg hover:bg-red-700">Submit Test</button>
-          <button onClick={handleNext} disabled={currentQuestionIndex === questions.length - 1} className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg disabled:opacity-50 hover:bg-blue-700">Next</button>
-        </div>
+    <div className="mt-4 p-4 bg-gray-50 rounded-lg flex flex-wrap items-center gap-3 text-sm">
+      <span className="text-gray-700">Quiz seed <span className="font-mono font-semibold">{quiz.seed}</span></span>
+      <button onClick={handleCopy} className="px-4 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-100">{copied ? 'Link copied' : 'Copy quiz link'}</button>
+      {onRetake && <button onClick={onRetake} className="px-4 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-100">Retake this quiz</button>}
+    </div>
+  );
+}
+
+// The trainee's name as it appears on reports and exports.
+function TraineeNameField() {
+  const { traineeName, setTraineeName } = useQuizStore();
+  return (
+    <label className="text-sm text-gray-700">
+      Your name on reports{' '}
+      <input value={traineeName} onChange={(e) => setTraineeName(e.target.value)} placeholder="e.g. Asha Rao" className="ml-1 p-1 border border-gray-300 rounded-md" />
+    </label>
+  );
+}
+
+// Topics (or papers) where wrong answers cost more marks than the right ones earned.
+function NegativeMarkingAlerts({ groups, rules }) {
+  const costly = groups.filter(g => g.penaltyExceedsGain);
+  if (costly.length === 0) return null;
+  return (
+    <div role="alert" className="mb-6 p-4 bg-red-50 border-l-4 border-red-500 rounded-r-lg text-sm text-red-800">
+      <p className="font-semibold mb-1">Negative marking cost you more than guessing gained in:</p>
+      <ul className="list-disc list-inside space-y-1">
+        {costly.map(g => (
+          <li key={g.topic}>
+            <strong>{g.topic}</strong>: {g.incorrect} wrong {g.incorrect === 1 ? 'answer' : 'answers'} lost {g.penalty.toFixed(2)} marks, more than the {g.marks.toFixed(2)} your answers there earned ({g.accuracy.toFixed(0)}% accuracy).
+          </li>
+        ))}
+      </ul>
+      <p className="mt-2">Answering only pays off above {breakEvenAccuracy(rules.negativeMarkRatio).toFixed(0)}% accuracy. Until these improve, leave questions you're unsure of blank.</p>
+    </div>
+  );
+}
+
+// Per subject or per paper: accuracy on answered questions, how many were left blank,
+// time and net marks after negative marking.
+function BreakdownTable({ title, rows, nameKey, timed }) {
+  return (
+    <div className="mb-8">
+      <h3 className="text-lg font-semibold text-gray-700 mb-2">{title}</h3>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-left">
+          <thead className="text-gray-600 border-b">
+            <tr>
+              <th className="p-2">{nameKey === 'paper' ? 'Paper' : 'Subject'}</th><th className="p-2">Questions</th><th className="p-2">Accuracy</th><th className="p-2">Unanswered</th>
+              {timed && <><th className="p-2">Avg time</th><th className="p-2">Changes</th></>}
+              <th className="p-2">Net marks</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row[nameKey]} className="border-b">
+                <td className="p-2 font-medium">{row[nameKey]}</td>
+                <td className="p-2">{row.questions}</td>
+                <td className="p-2">{row.total > 0 ? `${row.accuracy.toFixed(0)}% (${row.correct}/${row.total})` : '–'}</td>
+                <td className="p-2">{row.unansweredRate.toFixed(0)}% ({row.unanswered})</td>
+                {timed && <><td className="p-2">{formatTimeSpent(row.averageTimeMs)}</td><td className="p-2">{row.answerChanges}</td></>}
+                <td className={`p-2 ${row.penaltyExceedsGain ? 'text-red-600 font-semibold' : ''}`}>{row.netMarks.toFixed(2)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function TimeAnalysis({ attempt }) {
+  const { timing, answeredQuestions } = attempt;
+  const { fastest, slowest } = useMemo(() => rankByTime(answeredQuestions), [answeredQuestions]);
+  const renderRanked = ({ question, index }) => {
+    const result = RESULT_LABELS[responseResult(question)];
+    return (
+      <li key={question.id} className="flex justify-between gap-4">
+        <span className="truncate">Q{index + 1}: {question.question}</span>
+        <span className="shrink-0">{formatTimeSpent(question.timeSpentMs)} <span className={result.color}>{result.text}</span></span>
+      </li>
+    );
+  };
+
+  return (
+    <div className="mb-10">
+      <h2 className="text-2xl font-semibold text-gray-700 mb-4">Time and Accuracy</h2>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 text-center mb-6">
+        <div className="p-4 bg-gray-50 rounded-lg"><p className="text-sm font-semibold text-gray-700">AVERAGE PER QUESTION</p><p className="text-2xl font-bold text-gray-800">{formatTimeSpent(timing.averageMs)}</p></div>
+        <div className="p-4 bg-gray-50 rounded-lg"><p className="text-sm font-semibold text-gray-700">ON CORRECT / WRONG ANSWERS</p><p className="text-2xl font-bold text-gray-800">{formatTimeSpent(timing.correctAverageMs)} / {formatTimeSpent(timing.incorrectAverageMs)}</p></div>
+        <div className="p-4 bg-gray-50 rounded-lg"><p className="text-sm font-semibold text-gray-700">ANSWER CHANGES</p><p className="text-2xl font-bold text-gray-800">{timing.answerChanges}</p><p className="text-xs text-gray-600 mt-1">{timing.changedToCorrect} wrong → right, {timing.changedToIncorrect} right → wrong</p></div>
+      </div>
+      <h3 className="text-lg font-semibold text-gray-700 mb-2">Accuracy by Time Spent</h3>
+      <div className="space-y-2 mb-6">
+        {timing.bands.map(band => (
+          <div key={band.label} className="flex items-center gap-3 text-sm">
+            <span className="w-28 shrink-0 text-gray-700">{band.label}</span>
+            <div className="flex-1 bg-gray-200 rounded-full h-2.5"><div className="bg-blue-500 h-2.5 rounded-full" style={{ width: `${band.accuracy || 0}%` }}></div></div>
+            <span className="w-32 shrink-0 text-right text-gray-600">{band.accuracy === null ? 'no answers' : `${band.accuracy.toFixed(0)}% of ${band.answered}`}</span>
+          </div>
+        ))}
       </div>
-      <div className="w-full md:w-1/3 p-4 md:p-8 bg-white border-l border-gray-200"><div className="sticky top-8"><QuizTimer /><QuizSummary /></div></div>
+      {fastest.length > 0 && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 text-sm">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-700 mb-2">Fastest</h3>
+            <ul className="space-y-1">{fastest.map(renderRanked)}</ul>
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-gray-700 mb-2">Slowest</h3>
+            <ul className="space-y-1">{slowest.map(renderRanked)}</ul>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
 
-function ResultsPage({ navigate }) {
-  const { finalResults, reset } = useQuizStore();
+function ResultsPage() {
+  const { attempts, importedAttempts, traineeName, reset, closeResults, isTestRunning, aiSettings, aiExplanationCache, cacheExplanation } = useQuizStore();
+  const navigate = useNavigate();
+  const { attemptId } = useParams();
+  const finalResults = attempts.find(a => a.id === attemptId) || importedAttempts.find(a => a.importKey === attemptId);
   const [showReview, setShowReview] = useState(false);
   const [aiStudyPlan, setAiStudyPlan] = useState('');
   const [isPlanLoading, setIsPlanLoading] = useState(false);
-  const [aiExplanations, setAiExplanations] = useState({});
+  const [planError, setPlanError] = useState(null);
   const [loadingExplanations, setLoadingExplanations] = useState({});
-
-  useEffect(() => { if (!finalResults) { navigate('home') } }, [finalResults, navigate]);
-
-  const callGeminiAPI = async (prompt) => {
-      const chatHistory = [{ role: "user", parts: [{ text: prompt }] }];
-      const payload = { contents: chatHistory };
-      const apiKey = process.env.REACT_APP_GEMINI_API_KEY; 
-      const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${apiKey}`;
-      try {
-          const response = await fetch(apiUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
-          if (!response.ok) { throw new Error(`API call failed with status: ${response.status}`) }
-          const result = await response.json();
-          if (result.candidates?.[0]?.content?.parts?.[0]) { return result.candidates[0].content.parts[0].text }
-          console.error("Unexpected response structure:", result);
-          return "Could not get a valid response from the AI.";
-      } catch (error) {
-          console.error("Error calling Gemini API:", error);
-          return "An error occurred while contacting the AI.";
-      }
-  };
+  const [explanationErrors, setExplanationErrors] = useState({});
+  const [showAiSettings, setShowAiSettings] = useState(false);
+  const online = useOnlineStatus();
+  const aiConfigured = isAIConfigured(aiSettings);
+  const aiOffline = !online && !isLocalProvider(aiSettings); // Local servers don't need the internet
+  const aiReady = aiConfigured && !aiOffline;
 
   const handleGenerateStudyPlan = async () => {
-      setIsPlanLoading(true); setAiStudyPlan('');
+      setIsPlanLoading(true); setAiStudyPlan(''); setPlanError(null);
       const topicSummary = finalResults.topicAnalysis.map(t => `${t.topic}: ${t.accuracy.toFixed(0)}% accuracy`).join(', ');
       const prompt = `I just took a practice test for the NISM Derivatives exam. My performance was: ${topicSummary}. Based on these results, please identify my weakest topics and generate a concise, actionable study plan to help me improve. The plan should be encouraging and motivational. Format the output using markdown.`;
-      const plan = await callGeminiAPI(prompt);
-      setAiStudyPlan(plan); setIsPlanLoading(false);
+      try {
+          setAiStudyPlan(await generateText(prompt, aiSettings));
+      } catch (error) {
+          console.error("AI study plan failed:", error);
+          setPlanError(error);
+      }
+      setIsPlanLoading(false);
   };
 
   const handleAiExplanation = async (questionId) => {
       setLoadingExplanations(prev => ({ ...prev, [questionId]: true }));
+      setExplanationErrors(prev => ({ ...prev, [questionId]: null }));
       const question = finalResults.answeredQuestions.find(q => q.id === questionId);
-      const prompt = `For a student preparing for the NISM Derivatives exam in India, please explain why the correct answer to the following question is "${question.answer}". Also, clarify why "${question.userAnswer}" is incorrect. Keep the tone simple and clear.\n\nQuestion: "${question.question}"\n\nBase Explanation (for context): "${question.explanation}"`;
-      const explanation = await callGeminiAPI(prompt);
-      setAiExplanations(prev => ({ ...prev, [questionId]: explanation }));
+      const prompt = `For a student preparing for the NISM Derivatives exam in India, please explain why the correct answer to the following question is "${formatCorrectAnswer(question)}". Also, clarify why "${formatAnswer(question, scoredAnswer(question))}" is incorrect. Keep the tone simple and clear.\n\nQuestion: "${question.question}"\n\nBase Explanation (for context): "${question.explanation}"`;
+      try {
+          const explanation = await generateText(prompt, aiSettings);
+          cacheExplanation(question, scoredAnswer(question), explanation);
+      } catch (error) {
+          console.error("AI explanation failed:", error);
+          setExplanationErrors(prev => ({ ...prev, [questionId]: error }));
+      }
       setLoadingExplanations(prev => ({ ...prev, [questionId]: false }));
   };
 
-  if (!finalResults) { return <div className="flex h-screen items-center justify-center">Loading results...</div> }
+  if (!finalResults) {
+    return (
+      <div className="flex flex-col h-screen items-center justify-center space-y-4">
+        <p className="text-gray-700">This attempt isn't in your saved history.</p>
+        <Link to="/history" className="text-blue-700 font-semibold hover:underline">View Progress</Link>
+      </div>
+    );
+  }
   
-  const handleGoHome = () => { reset(); navigate('home') }
-  const { score, totalQuestions, passed, topicAnalysis, answeredQuestions, accuracy, correctCount } = finalResults;
+  // A past attempt can be opened while a test is still running; don't wipe that session.
+  const handleGoHome = () => { isTestRunning ? closeResults() : reset(); navigate('/') }
+  const { score, totalQuestions, passed, topicAnalysis, paperAnalysis, timing, answeredQuestions, accuracy, correctCount, practice } = finalResults;
+  const rules = finalResults.rules || DEFAULT_RULES; // Attempts saved before exam profiles have no rules
+  const isImported = Boolean(finalResults.importKey);
+  const reportName = isImported ? finalResults.traineeName : traineeName;
+
+  const handlePrint = () => {
+    // Browsers suggest the page title as the PDF file name
+    const title = document.title;
+    document.title = attemptFileName(finalResults, reportName, 'report');
+    window.print();
+    document.title = title;
+  };
+  const handleCsv = (suffix, csv) => downloadFile(`${attemptFileName(finalResults, reportName, suffix)}.csv`, csv, 'text/csv');
+  const handleJson = () => downloadJson(`${attemptFileName(finalResults, reportName)}.json`, exportAttempts([finalResults], reportName));
+  const handleRetake = () => { reset(); navigate(`/quiz${configToSearch(finalResults.quiz)}`, { state: { startQuiz: true } }); };
 
   return (
-    <main className="min-h-screen bg-gray-50 p-4 sm:p-8">
-      <div className="max-w-5xl mx-auto bg-white p-8 rounded-xl shadow-lg">
+    <main className="min-h-screen bg-gray-50 p-4 sm:p-8 print:bg-white print:p-0">
+      <AttemptReport attempt={finalResults} traineeName={reportName} aiExplanationCache={aiExplanationCache} studyPlan={aiStudyPlan} />
+      <div className="max-w-5xl mx-auto bg-white p-8 rounded-xl shadow-lg print:hidden">
         <h1 className="text-3xl font-bold text-center text-gray-800 mb-2">Test Results</h1>
+        {isImported && <p className="text-center text-gray-600 mb-2">Imported attempt{finalResults.traineeName ? ` by ${finalResults.traineeName}` : ''}, {new Date(finalResults.date).toLocaleString()}</p>}
+        {rules.profileName && <p className="text-center text-gray-600 mb-2">{rules.profileName} (exam simulation)</p>}
         <div className={`text-5xl font-extrabold text-center mb-6 ${passed ? 'text-green-500' : 'text-red-500'}`}>{passed ? 'PASS' : 'FAIL'}</div>
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6 text-center mb-10">
-          <div className="p-4 bg-blue-50 rounded-lg"><p className="text-sm font-semibold text-blue-800">SCORE (with negative marking)</p><p className="text-3xl font-bold text-blue-600">{score.toFixed(2)} / {totalQuestions}</p></div>
+          <div className="p-4 bg-blue-50 rounded-lg"><p className="text-sm font-semibold text-blue-800">SCORE (−{rules.negativeMarkRatio} per wrong answer)</p><p className="text-3xl font-bold text-blue-600">{score.toFixed(2)} / {totalQuestions}</p></div>
           <div className="p-4 bg-green-50 rounded-lg"><p className="text-sm font-semibold text-green-800">ACCURACY (Correct Answers)</p><p className="text-3xl font-bold text-green-600">{accuracy.toFixed(2)}% ({correctCount}/{totalQuestions})</p></div>
-          <div className="p-4 bg-yellow-50 rounded-lg"><p className="text-sm font-semibold text-yellow-800">PASS MARK</p><p className="text-3xl font-bold text-yellow-600">60%</p></div>
+          <div className="p-4 bg-yellow-50 rounded-lg"><p className="text-sm font-semibold text-yellow-800">PASS MARK</p><p className="text-3xl font-bold text-yellow-600">{rules.passPercent}%</p><p className="text-xs text-yellow-800 mt-1">{(totalQuestions * rules.passPercent / 100).toFixed(2)} marks needed</p></div>
         </div>
+        {practice && (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 text-center mb-10">
+            <div className="p-4 bg-gray-50 rounded-lg"><p className="text-sm font-semibold text-gray-700">FIRST-ATTEMPT ACCURACY</p><p className="text-3xl font-bold text-gray-800">{practice.firstAttemptAccuracy.toFixed(2)}% ({practice.firstAttemptCorrect}/{totalQuestions})</p></div>
+            <div className="p-4 bg-gray-50 rounded-lg"><p className="text-sm font-semibold text-gray-700">EVENTUAL ACCURACY</p><p className="text-3xl font-bold text-gray-800">{practice.eventualAccuracy.toFixed(2)}% ({practice.eventualCorrect}/{totalQuestions})</p></div>
+            <div className="p-4 bg-gray-50 rounded-lg"><p className="text-sm font-semibold text-gray-700">RETRIES</p><p className="text-3xl font-bold text-gray-800">{practice.retries}</p></div>
+          </div>
+        )}
         <div className="mb-10">
           <h2 className="text-2xl font-semibold text-gray-700 mb-4">Performance by Topic</h2>
           <div className="space-y-4">
             {topicAnalysis.map(({ topic, accuracy, correct, total }) => (
               <div key={topic} className="p-3 bg-gray-50 rounded-lg">
                 <div className="flex justify-between items-center mb-1"><span className="font-medium text-gray-800">{topic}</span><span className="text-sm font-semibold text-gray-600">{correct}/{total}</span></div>
-                <div className="w-full bg-gray-200 rounded-full h-2.5"><div className={`${accuracy >= 60 ? 'bg-green-500' : 'bg-red-500'} h-2.5 rounded-full`} style={{ width: `${accuracy}%` }}></div></div>
+                <div className="w-full bg-gray-200 rounded-full h-2.5"><div className={`${accuracy >= rules.passPercent ? 'bg-green-500' : 'bg-red-500'} h-2.5 rounded-full`} style={{ width: `${accuracy}%` }}></div></div>
               </div>
             ))}
           </div>
         </div>
+        {timing && <TimeAnalysis attempt={finalResults} />}
+        {/* Attempts saved before the breakdown was recorded have no paperAnalysis */}
+        {paperAnalysis && (
+          <div className="mb-10">
+            <h2 className="text-2xl font-semibold text-gray-700 mb-4">Breakdown by Subject and Paper</h2>
+            <NegativeMarkingAlerts groups={topicAnalysis} rules={rules} />
+            <BreakdownTable title="By Subject" rows={topicAnalysis} nameKey="topic" timed={Boolean(timing)} />
+            <BreakdownTable title="By Paper" rows={paperAnalysis} nameKey="paper" timed={Boolean(timing)} />
+          </div>
+        )}
         <div className="my-10 p-6 bg-blue-50 border-l-4 border-blue-500 rounded-r-lg">
           <h2 className="text-2xl font-semibold text-gray-700 mb-4">Personalized Study Plan</h2>
-          <button onClick={handleGenerateStudyPlan} disabled={isPlanLoading} className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 disabled:bg-gray-400">{isPlanLoading ? '✨ Generating...' : '✨ Generate AI Study Plan'}</button>
+          {!aiConfigured && <AiUnavailable error={new AIConfigError('No AI provider is set up.')} onConfigure={() => setShowAiSettings(true)} />}
+          {aiConfigured && aiOffline && <AiUnavailable error={new AIError("You're offline. AI features come back when you reconnect.")} />}
+          {showAiSettings && <AiSettingsPanel onClose={() => setShowAiSettings(false)} />}
+          <button onClick={handleGenerateStudyPlan} disabled={isPlanLoading || !aiReady} className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 disabled:bg-gray-400">{isPlanLoading ? '✨ Generating...' : '✨ Generate AI Study Plan'}</button>
           {isPlanLoading && <div className="mt-4">Getting your plan from the AI...</div>}
-          {aiStudyPlan && <div className="mt-4 p-4 bg-white rounded-lg prose" dangerouslySetInnerHTML={{ __html: aiStudyPlan.replace(/\n/g, '<br />') }} />}
+          {planError && <AiUnavailable error={planError} onRetry={handleGenerateStudyPlan} onConfigure={() => setShowAiSettings(true)} />}
+          {aiStudyPlan && <Markdown source={aiStudyPlan} className="mt-4 p-4 bg-white rounded-lg prose max-w-none" />}
         </div>
         <div className="flex flex-col sm:flex-row justify-center space-y-4 sm:space-y-0 sm:space-x-4">
           <button onClick={handleGoHome} className="px-8 py-3 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700">Take Another Test</button>
+          <button onClick={() => navigate('/history')} className="px-8 py-3 bg-white text-blue-700 font-semibold rounded-lg shadow-md border border-blue-200 hover:bg-blue-50">View Progress</button>
           <button onClick={() => setShowReview(!showReview)} className="px-8 py-3 bg-gray-700 text-white font-semibold rounded-lg shadow-md hover:bg-gray-800">{showReview ? 'Hide Review' : 'Review Answers'}</button>
         </div>
+        <div className="mt-8 p-4 bg-gray-50 rounded-lg flex flex-wrap items-center gap-3">
+          <h2 className="font-semibold text-gray-700 mr-2">Export</h2>
+          {!isImported && <TraineeNameField />}
+          <button onClick={handlePrint} className="px-4 py-2 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-100">Print / Save as PDF</button>
+          <button onClick={() => handleCsv('responses', responsesToCsv(finalResults))} className="px-4 py-2 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-100">Responses CSV</button>
+          <button onClick={() => handleCsv('topics', topicAnalysisToCsv(finalResults))} className="px-4 py-2 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-100">Topics CSV</button>
+          <button onClick={handleJson} className="px-4 py-2 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-100">Export JSON</button>
+        </div>
+        {/* Attempts from before seeded draws, and due reviews, can't be drawn again */}
+        {finalResults.quiz?.seed !== undefined && <QuizLink quiz={finalResults.quiz} onRetake={isTestRunning ? null : handleRetake} />}
         {showReview && (
           <div className="mt-12">
             <h2 className="text-2xl font-semibold text-gray-700 mb-6 border-t pt-8">Answer Review</h2>
             <div className="space-y-8">
-              {answeredQuestions.map((q, index) => (
-                <div key={q.id} className="p-6 bg-gray-50 rounded-lg border">
-                  <p className="font-semibold text-lg mb-4">Q{index+1}: {q.question}</p>
-                  <div className="space-y-2 text-md">
-                    <p><strong>Your Answer:</strong> <span className={q.userAnswer === q.answer ? 'text-green-600' : 'text-red-600'}>{q.userAnswer || 'Not Answered'}</span></p>
-                    <p><strong>Correct Answer:</strong> <span className="text-green-600">{q.answer}</span></p>
-                    {q.explanation && <p className="mt-2 pt-2 border-t text-gray-600"><strong>Explanation:</strong> {q.explanation}</p>}
-                    <div className="mt-4">
-                      <button onClick={() => handleAiExplanation(q.id)} disabled={loadingExplanations[q.id]} className="px-4 py-1 text-sm bg-purple-600 text-white font-semibold rounded-lg shadow-md hover:bg-purple-700 disabled:bg-gray-400">{loadingExplanations[q.id] ? '✨ Generating...' : '✨ Get AI Explanation'}</button>
-                      {loadingExplanations[q.id] && <div className="mt-2 text-sm">Getting AI explanation...</div>}
-                      {aiExplanations[q.id] && <div className="mt-2 p-3 bg-purple-50 rounded-lg text-sm" dangerouslySetInnerHTML={{ __html: aiExplanations[q.id].replace(/\n/g, '<br />') }} />}
+              {answeredQuestions.map((q, index) => {
+                const cachedExplanation = getCachedExplanation(aiExplanationCache, q, scoredAnswer(q));
+                return (
+                  <div key={q.id} className="p-6 bg-gray-50 rounded-lg border">
+                    <div className="flex justify-between items-start mb-4">
+                      <p className="font-semibold text-lg">Q{index+1}: {q.question}</p>
+                      <span className="ml-4 shrink-0 text-sm space-x-3">
+                        <Link to={`/review/${encodeURIComponent(q.id)}`} className="text-blue-700 hover:underline">Question history</Link>
+                        <Link to={`/editor?question=${encodeURIComponent(q.id)}`} className="text-red-600 hover:underline">⚑ Flag this question</Link>
+                      </span>
+                    </div>
+                    <CasePassage question={q} collapsible />
+                    <AssertionReason question={q} />
+                    <div className="space-y-2 text-md">
+                      <p><strong>Your Answer:</strong> <span className={creditColor(q, scoredAnswer(q))}>{formatAnswer(q, scoredAnswer(q)) || 'Not Answered'}</span></p>
+                      {q.attempts?.length > 1 && <p className="text-sm text-gray-600"><strong>Later tries:</strong> {q.attempts.slice(1).map(a => formatAnswer(q, a)).join(' → ')}</p>}
+                      <p><strong>Correct Answer:</strong> <span className="text-green-600">{formatCorrectAnswer(q)}</span></p>
+                      {q.explanation && (
+                        <div className="mt-2 pt-2 border-t text-gray-600">
+                          <strong>Explanation:</strong>
+                          <Markdown source={q.explanation} className="prose prose-sm max-w-none" />
+                        </div>
+                      )}
+                      <div className="mt-4">
+                        <button onClick={() => handleAiExplanation(q.id)} disabled={loadingExplanations[q.id] || !aiReady} className="px-4 py-1 text-sm bg-purple-600 text-white font-semibold rounded-lg shadow-md hover:bg-purple-700 disabled:bg-gray-400">{loadingExplanations[q.id] ? '✨ Generating...' : cachedExplanation ? '✨ Regenerate AI Explanation' : '✨ Get AI Explanation'}</button>
+                        {loadingExplanations[q.id] && <div className="mt-2 text-sm">Getting AI explanation...</div>}
+                        {explanationErrors[q.id] && <AiUnavailable error={explanationErrors[q.id]} onRetry={() => handleAiExplanation(q.id)} onConfigure={() => setShowAiSettings(true)} />}
+                        {cachedExplanation && <Markdown source={cachedExplanation} className="mt-2 p-3 bg-purple-50 rounded-lg prose prose-sm max-w-none" />}
+                      </div>
                     </div>
                   </div>
-                </div>
-              ))}
+                );
+              })}
             </div>
           </div>
         )}
@@ -539,25 +2303,705 @@ function ResultsPage({ navigate }) {
   );
 }
 
+const formatDuration = (seconds) => `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
 
-// --- Main App Component (Router) ---
-export default function App() {
-  const [page, setPage] = useState('home'); // 'home', 'quiz', 'results'
-  const navigate = (newPage) => setPage(newPage);
-
-  const renderPage = () => {
-    switch(page) {
-      case 'quiz': return <QuizPage navigate={navigate} />;
-      case 'results': return <ResultsPage navigate={navigate} />;
-      case 'home': default: return <HomePage navigate={navigate} />;
+const formatTimeSpent = (ms) => {
+  const seconds = Math.round(ms / 1000);
+  return seconds < 60 ? `${seconds}s` : formatDuration(seconds);
+};
+
+// Minimal SVG line chart; values are percentages plotted left to right in attempt order.
+function ProgressChart({ values, threshold }) {
+  const width = 600, height = 200, pad = 24;
+  const x = (i) => values.length === 1 ? width / 2 : pad + (i * (width - 2 * pad)) / (values.length - 1);
+  const y = (v) => height - pad - (Math.max(0, Math.min(100, v)) / 100) * (height - 2 * pad);
+  const points = values.map((v, i) => (v === null ? null : `${x(i)},${y(v)}`)).filter(Boolean);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-48 bg-gray-50 rounded-lg">
+      {[0, 50, 100].map(v => (
+        <g key={v}>
+          <line x1={pad} x2={width - pad} y1={y(v)} y2={y(v)} stroke="#e5e7eb" />
+          <text x={2} y={y(v) + 4} fontSize="10" fill="#6b7280">{v}</text>
+        </g>
+      ))}
+      {threshold !== undefined && <line x1={pad} x2={width - pad} y1={y(threshold)} y2={y(threshold)} stroke="#f59e0b" strokeDasharray="4 4" />}
+      <polyline points={points.join(' ')} fill="none" stroke="#2563eb" strokeWidth="2" />
+      {values.map((v, i) => v !== null && <circle key={i} cx={x(i)} cy={y(v)} r="4" fill="#2563eb" />)}
+    </svg>
+  );
+}
+
+function HistoryPage() {
+  const { attempts, clearHistory, traineeName } = useQuizStore();
+  const navigate = useNavigate();
+  const topics = useMemo(() => [...new Set(attempts.flatMap(a => a.topicAnalysis.map(t => t.topic)))], [attempts]);
+  const [selectedTopic, setSelectedTopic] = useState('');
+  const topic = topics.includes(selectedTopic) ? selectedTopic : topics[0];
+
+  const scoreSeries = attempts.map(a => a.totalQuestions > 0 ? (a.score / a.totalQuestions) * 100 : 0);
+  const topicSeries = attempts.map(a => {
+    const stats = a.topicAnalysis.find(t => t.topic === topic);
+    return stats && stats.total > 0 ? stats.accuracy : null;
+  });
+
+  // Each attempt keeps the pass mark of its exam profile or custom rules; the line is only
+  // drawn when every attempt shown shares one.
+  const passMarks = new Set(attempts.map(a => (a.rules || DEFAULT_RULES).passPercent));
+  const passLine = passMarks.size === 1 ? [...passMarks][0] : undefined;
+
+  const handleClear = () => { if (window.confirm('Delete all saved attempts?')) clearHistory() };
+  const handleExport = () => downloadJson(`${attemptFileName(attempts[attempts.length - 1], traineeName, 'history')}.json`, exportAttempts(attempts, traineeName));
+
+  return (
+    <main className="min-h-screen bg-gray-50 p-4 sm:p-8">
+      <div className="max-w-5xl mx-auto bg-white p-8 rounded-xl shadow-lg">
+        <div className="flex justify-between items-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-800">Your Progress</h1>
+          <div className="space-x-2">
+            <button onClick={() => navigate('/compare')} className="px-6 py-2 bg-white text-blue-700 font-semibold rounded-lg border border-blue-200 hover:bg-blue-50">Compare Attempts</button>
+            <button onClick={() => navigate('/')} className="px-6 py-2 bg-gray-300 text-gray-700 font-semibold rounded-lg hover:bg-gray-400">Home</button>
+          </div>
+        </div>
+
+        {attempts.length === 0 ? (
+          <p className="text-gray-600 text-center">No attempts yet. Submit a test and it will show up here.</p>
+        ) : (
+          <>
+            <div className="mb-10">
+              <h2 className="text-2xl font-semibold text-gray-700 mb-4">Score Over Time (%)</h2>
+              <ProgressChart values={scoreSeries} threshold={passLine} />
+              <p className="text-xs text-gray-500 mt-2">
+                {passLine === undefined ? 'These attempts have different pass marks, so no pass line is drawn.' : `Dashed line: the ${passLine}% pass mark.`}
+              </p>
+            </div>
+
+            <div className="mb-10">
+              <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-semibold text-gray-700">Topic Accuracy (%)</h2>
+                <select onChange={(e) => setSelectedTopic(e.target.value)} value={topic} className="p-2 border border-gray-300 rounded-md">
+                  {topics.map(t => <option key={t} value={t}>{t}</option>)}
+                </select>
+              </div>
+              <ProgressChart values={topicSeries} threshold={passLine} />
+            </div>
+
+            <h2 className="text-2xl font-semibold text-gray-700 mb-4">Attempts</h2>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left">
+                <thead className="text-gray-600 border-b">
+                  <tr><th className="p-2">Date</th><th className="p-2">Quiz</th><th className="p-2">Score</th><th className="p-2">Accuracy</th><th className="p-2">Result</th><th className="p-2">Time</th><th className="p-2"></th></tr>
+                </thead>
+                <tbody>
+                  {[...attempts].reverse().map(a => (
+                    <tr key={a.id} className="border-b">
+                      <td className="p-2">{new Date(a.date).toLocaleString()}</td>
+                      <td className="p-2">{a.label}</td>
+                      <td className="p-2">{a.score.toFixed(2)} / {a.totalQuestions}</td>
+                      <td className="p-2">{a.accuracy.toFixed(0)}%</td>
+                      <td className={`p-2 font-semibold ${a.passed ? 'text-green-600' : 'text-red-600'}`}>{a.passed ? 'PASS' : 'FAIL'}</td>
+                      <td className="p-2">{formatDuration(a.timeTakenSeconds)}</td>
+                      <td className="p-2"><Link to={`/results/${a.id}`} className="px-3 py-1 bg-gray-700 text-white rounded-md hover:bg-gray-800">Review</Link></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="mt-8 flex flex-wrap items-center gap-3">
+              <TraineeNameField />
+              <button onClick={handleExport} className="px-4 py-2 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-100">Export All (JSON)</button>
+              <button onClick={handleClear} className="px-4 py-2 text-sm text-red-600 border border-red-300 rounded-lg hover:bg-red-50">Clear History</button>
+            </div>
+          </>
+        )}
+      </div>
+    </main>
+  );
+}
+
+const readFileText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (e) => resolve(e.target.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
+const RESULT_MARKS = { correct: '✓', partial: '½', incorrect: '✗', unanswered: '–' };
+
+// Attempts imported from JSON exports (one trainee's history or many single attempts),
+// lined up by score, topic and question so a trainer can see where a group struggles.
+function ComparePage() {
+  const { importedAttempts, importAttempts, removeImportedAttempt, clearImportedAttempts } = useQuizStore();
+  const navigate = useNavigate();
+  const [importErrors, setImportErrors] = useState([]);
+  const [importedCount, setImportedCount] = useState(null);
+  const { topics, questions } = useMemo(() => compareAttempts(importedAttempts), [importedAttempts]);
+
+  const handleFiles = async (event) => {
+    const files = [...event.target.files];
+    event.target.value = ''; // Lets the same file be picked again after a fix
+    const imported = [];
+    const errors = [];
+    for (const file of files) {
+      try {
+        imported.push(...parseAttemptExport(await readFileText(file)));
+      } catch (err) {
+        // Parse problems explain themselves; anything else (say, the file can't be read) gets a generic line.
+        errors.push(`${file.name}: ${err instanceof AttemptImportError ? err.message : 'The file could not be read.'}`);
+      }
     }
-  }
+    if (imported.length > 0) importAttempts(imported);
+    setImportedCount(imported.length);
+    setImportErrors(errors);
+  };
+
+  const handleClear = () => { if (window.confirm('Remove all imported attempts?')) clearImportedAttempts() };
+  const attemptName = (a) => a.traineeName || 'Unnamed';
+
+  return (
+    <main className="min-h-screen bg-gray-50 p-4 sm:p-8">
+      <div className="max-w-6xl mx-auto bg-white p-8 rounded-xl shadow-lg">
+        <div className="flex justify-between items-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-800">Compare Attempts</h1>
+          <div className="space-x-2">
+            <button onClick={() => navigate('/history')} className="px-6 py-2 bg-gray-300 text-gray-700 font-semibold rounded-lg hover:bg-gray-400">Your Progress</button>
+            <button onClick={() => navigate('/')} className="px-6 py-2 bg-gray-300 text-gray-700 font-semibold rounded-lg hover:bg-gray-400">Home</button>
+          </div>
+        </div>
+
+        <div className="mb-8">
+          <label htmlFor="attempt-files" className="block font-medium text-gray-700 mb-2">Import attempt exports (JSON from a results page or Your Progress)</label>
+          <input
+            id="attempt-files"
+            type="file"
+            accept=".json"
+            multiple
+            onChange={handleFiles}
+            className="w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+          />
+          {importedCount !== null && <p className="text-sm text-gray-600 mt-2">Imported {importedCount} {importedCount === 1 ? 'attempt' : 'attempts'}.</p>}
+          {importErrors.map(message => <p key={message} className="text-red-500 text-sm mt-1">{message}</p>)}
+        </div>
+
+        {importedAttempts.length === 0 ? (
+          <p className="text-gray-600 text-center">No imported attempts yet. Ask trainees for their JSON exports and import them here.</p>
+        ) : (
+          <>
+            <h2 className="text-2xl font-semibold text-gray-700 mb-4">Attempts</h2>
+            <div className="overflow-x-auto mb-10">
+              <table className="w-full text-sm text-left">
+                <thead className="text-gray-600 border-b">
+                  <tr><th className="p-2">#</th><th className="p-2">Name</th><th className="p-2">Date</th><th className="p-2">Quiz</th><th className="p-2">Score</th><th className="p-2">Accuracy</th><th className="p-2">Result</th><th className="p-2">Time</th><th className="p-2"></th></tr>
+                </thead>
+                <tbody>
+                  {importedAttempts.map((a, i) => (
+                    <tr key={a.importKey} className="border-b">
+                      <td className="p-2">{i + 1}</td>
+                      <td className="p-2 font-medium">{attemptName(a)}</td>
+                      <td className="p-2">{new Date(a.date).toLocaleString()}</td>
+                      <td className="p-2">{a.label}</td>
+                      <td className="p-2">{a.score.toFixed(2)} / {a.totalQuestions}</td>
+                      <td className="p-2">{a.accuracy.toFixed(0)}%</td>
+                      <td className={`p-2 font-semibold ${a.passed ? 'text-green-600' : 'text-red-600'}`}>{a.passed ? 'PASS' : 'FAIL'}</td>
+                      <td className="p-2">{formatDuration(a.timeTakenSeconds)}</td>
+                      <td className="p-2 space-x-2 whitespace-nowrap">
+                        <Link to={`/results/${encodeURIComponent(a.importKey)}`} className="px-3 py-1 bg-gray-700 text-white rounded-md hover:bg-gray-800">Review</Link>
+                        <button onClick={() => removeImportedAttempt(a.importKey)} className="px-3 py-1 text-red-600 border border-red-300 rounded-md hover:bg-red-50">Remove</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <h2 className="text-2xl font-semibold text-gray-700 mb-4">Topic Accuracy (%)</h2>
+            <div className="overflow-x-auto mb-10">
+              <table className="w-full text-sm text-left">
+                <thead className="text-gray-600 border-b">
+                  <tr><th className="p-2">Topic</th>{importedAttempts.map((a, i) => <th key={a.importKey} className="p-2" title={attemptName(a)}>#{i + 1}</th>)}</tr>
+                </thead>
+                <tbody>
+                  {topics.map(topic => (
+                    <tr key={topic} className="border-b">
+                      <td className="p-2 font-medium">{topic}</td>
+                      {importedAttempts.map((a) => {
+                        const stats = a.topicAnalysis.find(t => t.topic === topic);
+                        const hasStats = stats && stats.total > 0;
+                        return <td key={a.importKey} className={`p-2 ${hasStats && stats.accuracy < (a.rules || DEFAULT_RULES).passPercent ? 'text-red-600 font-semibold' : ''}`}>{hasStats ? stats.accuracy.toFixed(0) : '–'}</td>;
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <h2 className="text-2xl font-semibold text-gray-700 mb-2">Questions, Most Missed First</h2>
+            <p className="text-sm text-gray-600 mb-4">✓ correct · ½ partly right · ✗ wrong · – not answered · blank: not in that attempt</p>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm text-left">
+                <thead className="text-gray-600 border-b">
+                  <tr><th className="p-2">Question</th><th className="p-2">Missed</th>{importedAttempts.map((a, i) => <th key={a.importKey} className="p-2" title={attemptName(a)}>#{i + 1}</th>)}</tr>
+                </thead>
+                <tbody>
+                  {questions.map(q => (
+                    <tr key={q.id} className="border-b">
+                      <td className="p-2"><Link to={`/review/${encodeURIComponent(q.id)}`} className="text-blue-700 hover:underline">{q.question}</Link></td>
+                      <td className="p-2">{q.misses}</td>
+                      {q.results.map((result, i) => <td key={importedAttempts[i].importKey} className={`p-2 ${result ? RESULT_LABELS[result].color : ''}`} title={result ? RESULT_LABELS[result].text : undefined}>{result ? RESULT_MARKS[result] : ''}</td>)}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <button onClick={handleClear} className="mt-8 px-4 py-2 text-sm text-red-600 border border-red-300 rounded-lg hover:bg-red-50">Remove All Imported</button>
+          </>
+        )}
+      </div>
+    </main>
+  );
+}
+
+// One question across every saved attempt: the answer, how it was answered each time,
+// where it stands in spaced repetition and any AI explanations already generated.
+function QuestionReviewPage() {
+  const { allQuestions, attempts, importedAttempts, memory, aiExplanationCache } = useQuizStore();
+  const navigate = useNavigate();
+  const { questionId } = useParams();
+
+  const answers = attempts.flatMap(a => a.answeredQuestions
+    .filter(q => String(q.id) === questionId)
+    .map(q => ({ attemptId: a.id, date: a.date, label: a.label, question: q, answer: scoredAnswer(q) })));
+  // A question can outlive its bank; fall back to the copy saved with the latest attempt,
+  // or with an imported one.
+  const question = allQuestions.find(q => String(q.id) === questionId)
+    || answers[answers.length - 1]?.question
+    || importedAttempts.flatMap(a => a.answeredQuestions).find(q => String(q.id) === questionId);
+  const card = memory[questionId];
+  const aiExplanations = Object.values(aiExplanationCache).filter(e => e.questionId === questionId);
+
+  return (
+    <main className="min-h-screen bg-gray-50 p-4 sm:p-8">
+      <div className="max-w-3xl mx-auto bg-white p-8 rounded-xl shadow-lg">
+        <div className="flex justify-between items-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-800">Question Review</h1>
+          <div className="space-x-2">
+            <button onClick={() => navigate(-1)} className="px-6 py-2 bg-gray-300 text-gray-700 font-semibold rounded-lg hover:bg-gray-400">Back</button>
+            <button onClick={() => navigate('/')} className="px-6 py-2 bg-gray-300 text-gray-700 font-semibold rounded-lg hover:bg-gray-400">Home</button>
+          </div>
+        </div>
+
+        {!question ? (
+          <p className="text-gray-600 text-center">This question isn't in your library or saved history.</p>
+        ) : (
+          <div className="space-y-6">
+            <div>
+              <p className="text-sm text-gray-500 mb-1">{question.category} · {question.subCategory}</p>
+              <CasePassage question={question} />
+              <p className="font-semibold text-lg mb-4">{question.question}</p>
+              <AssertionReason question={question} />
+              {questionType(question) === 'numeric' ? (
+                <p className="p-3 rounded-lg border bg-green-50 border-green-400">Answer: {formatCorrectAnswer(question)}</p>
+              ) : (
+                <ul className="space-y-2">
+                  {question.options.map((option, i) => (
+                    <li key={option} className={`p-3 rounded-lg border ${[].concat(question.answer).includes(option) ? 'bg-green-50 border-green-400' : 'bg-gray-50 border-gray-200'}`}>
+                      {optionLetter(i)}. {option}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+            {question.explanation && (
+              <div className="text-gray-600">
+                <strong>Explanation:</strong>
+                <Markdown source={question.explanation} className="prose prose-sm max-w-none" />
+              </div>
+            )}
+            {aiExplanations.map(e => (
+              <div key={`${e.userAnswer}-${e.createdAt}`} className="p-3 bg-purple-50 rounded-lg text-gray-700">
+                <strong>AI explanation{e.userAnswer ? ` (if you chose "${formatAnswer(question, e.userAnswer)}")` : ''}:</strong>
+                <Markdown source={e.text} className="prose prose-sm max-w-none" />
+              </div>
+            ))}
+            <div>
+              <h2 className="text-xl font-semibold text-gray-700 mb-2">Your Answers</h2>
+              {answers.length === 0 ? (
+                <p className="text-sm text-gray-600">Not part of any saved attempt yet.</p>
+              ) : (
+                <ul className="text-sm space-y-1">
+                  {answers.map(({ attemptId, date, label, answer }) => (
+                    <li key={attemptId}>
+                      <Link to={`/results/${attemptId}`} className="text-blue-700 hover:underline">{new Date(date).toLocaleString()} – {label}</Link>:{' '}
+                      <span className={creditColor(question, answer)}>{formatAnswer(question, answer) || 'Not Answered'}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+            {card && (
+              <p className="text-sm text-gray-600">
+                Reviewed {card.reviews} {card.reviews === 1 ? 'time' : 'times'}, missed {card.lapses}. Next review due {new Date(card.dueAt).toLocaleDateString()}.
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+    </main>
+  );
+}
+
+
+const QUESTION_TYPE_LABELS = {
+  single: 'Single choice',
+  multi: 'Multi-select',
+  numeric: 'Numeric',
+  'assertion-reason': 'Assertion-reason',
+};
+
+// Edits one draft; issues come from validateDraft and update as the user types.
+// Subject and paper inputs suggest from the page's editor-categories and editor-papers lists.
+function QuestionForm({ editing, onChange, issues, banks, caseSize, onBankChange, onSave, onCancel }) {
+  const { draft } = editing;
+  const errors = issues.filter(i => i.severity === 'error');
+  const isChoice = draft.type !== 'numeric';
+  const isMulti = draft.type === 'multi';
+  const set = (field) => (e) => onChange({ ...draft, [field]: e.target.value });
+  const isAnswer = (option) => (isMulti ? (draft.answer || []).includes(option) : draft.answer === option);
+  const markAnswer = (option) => onChange({
+    ...draft,
+    answer: isMulti ? draft.options.filter(o => o === option ? !isAnswer(o) : isAnswer(o)) : option,
+  });
+  const inputClass = 'w-full p-2 border border-gray-300 rounded-md text-sm';
+
+  return (
+    <form onSubmit={(e) => { e.preventDefault(); onSave() }} className="mb-8 p-6 bg-gray-50 border rounded-xl space-y-4">
+      <h2 className="text-xl font-semibold text-gray-800">{editing.originalId === null ? 'New Question' : `Edit Question ${editing.originalId}`}</h2>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm">
+        {editing.originalId === null && banks.length > 0 && (
+          <label className="block">Bank
+            <select value={editing.bankId} onChange={(e) => onBankChange(e.target.value)} className={inputClass}>
+              {banks.map(b => <option key={b.id} value={b.id}>{b.name}</option>)}
+            </select>
+          </label>
+        )}
+        <label className="block">ID
+          <input value={draft.id} onChange={set('id')} className={inputClass} />
+          {editing.originalId !== null && String(draft.id) !== String(editing.originalId) && <span className="text-xs text-gray-500">A new id starts the question's review history afresh.</span>}
+        </label>
+        <label className="block">Type
+          <select value={draft.type} onChange={(e) => onChange(changeType(draft, e.target.value))} className={inputClass}>
+            {Object.entries(QUESTION_TYPE_LABELS).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+          </select>
+        </label>
+        <label className="block">Subject (category)
+          <input value={draft.category || ''} onChange={set('category')} list="editor-categories" className={inputClass} />
+        </label>
+        <label className="block">Paper (subCategory)
+          <input value={draft.subCategory || ''} onChange={set('subCategory')} list="editor-papers" className={inputClass} />
+        </label>
+      </div>
+
+      {draft.caseId && (
+        <div className="text-sm space-y-2">
+          <label className="block">Case title
+            <input value={draft.caseTitle || ''} onChange={set('caseTitle')} className={inputClass} />
+          </label>
+          <label className="block">Case passage
+            <textarea value={draft.passage || ''} onChange={set('passage')} rows={4} className={inputClass} />
+          </label>
+          {caseSize > 1 && <p className="text-xs text-gray-500">Shared with the other {caseSize - 1} {caseSize === 2 ? 'question' : 'questions'} of this case; changes apply to all of them.</p>}
+        </div>
+      )}
+
+      <label className="block text-sm">Question
+        <textarea value={draft.question} onChange={set('question')} rows={3} className={inputClass} />
+      </label>
 
+      {draft.type === 'assertion-reason' && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm">
+          <label className="block">Assertion (A)
+            <textarea value={draft.assertion || ''} onChange={set('assertion')} rows={2} className={inputClass} />
+          </label>
+          <label className="block">Reason (R)
+            <textarea value={draft.reason || ''} onChange={set('reason')} rows={2} className={inputClass} />
+          </label>
+        </div>
+      )}
+
+      {isChoice ? (
+        <fieldset className="text-sm space-y-2">
+          <legend className="mb-1">Options ({isMulti ? 'tick every correct option' : 'choose the correct option'})</legend>
+          {draft.options.map((option, i) => (
+            <div key={i} className="flex items-center gap-2">
+              <input
+                type={isMulti ? 'checkbox' : 'radio'}
+                name="editor-answer"
+                checked={option !== '' && isAnswer(option)}
+                disabled={option === ''}
+                onChange={() => markAnswer(option)}
+                aria-label={`Option ${optionLetter(i)} is correct`}
+              />
+              <span className="w-5 font-semibold">{optionLetter(i)}.</span>
+              <input value={option} onChange={(e) => onChange(setOption(draft, i, e.target.value))} aria-label={`Option ${optionLetter(i)}`} className={inputClass} />
+              <button type="button" onClick={() => onChange(removeOption(draft, i))} className="px-2 text-red-600 hover:underline">Remove</button>
+            </div>
+          ))}
+          <button type="button" onClick={() => onChange({ ...draft, options: [...draft.options, ''] })} className="text-blue-700 hover:underline">+ Add option</button>
+          {isMulti && (
+            <label className="block">Scoring
+              <select value={draft.scoring || 'all-or-nothing'} onChange={(e) => onChange({ ...draft, scoring: e.target.value === 'all-or-nothing' ? undefined : e.target.value })} className={inputClass}>
+                <option value="all-or-nothing">All or nothing</option>
+                <option value="partial">Partial credit</option>
+              </select>
+            </label>
+          )}
+        </fieldset>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 text-sm">
+          <label className="block">Answer
+            <input value={draft.answerText} onChange={set('answerText')} inputMode="decimal" className={inputClass} />
+          </label>
+          <label className="block">Tolerance (±)
+            <input value={draft.toleranceText} onChange={set('toleranceText')} inputMode="decimal" placeholder="0" className={inputClass} />
+          </label>
+          <label className="block">Unit
+            <input value={draft.unit || ''} onChange={set('unit')} placeholder="e.g. ₹" className={inputClass} />
+          </label>
+        </div>
+      )}
+
+      <label className="block text-sm">Explanation (markdown)
+        <textarea value={draft.explanation} onChange={set('explanation')} rows={3} className={inputClass} />
+      </label>
+
+      {issues.length > 0 && (
+        <ul aria-live="polite" className="text-sm border rounded-lg divide-y">
+          {issues.map((issue, i) => (
+            <li key={i} className={`p-2 ${issue.severity === 'error' ? 'text-red-700 bg-red-50' : 'text-yellow-800 bg-yellow-50'}`}>
+              <span className="font-semibold">{issue.field}:</span> {issue.message}
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex space-x-4">
+        <button type="submit" disabled={errors.length > 0} className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 disabled:bg-gray-400">Save</button>
+        <button type="button" onClick={onCancel} className="px-6 py-2 bg-gray-300 text-gray-700 font-semibold rounded-lg hover:bg-gray-400">Cancel</button>
+      </div>
+    </form>
+  );
+}
+
+// Where questions written with no bank enabled are saved.
+const MY_QUESTIONS_BANK = 'My Questions';
+
+// Lists the library with search and filters, and edits questions in the banks they came
+// from. /editor?question=<id> opens that question, as the results review's flag button does.
+function EditorPage() {
+  const { banks, allQuestions, editBank, loadQuestions } = useQuizStore();
+  const navigate = useNavigate();
+  const { search: locationSearch } = useLocation();
+  const flaggedId = new URLSearchParams(locationSearch).get('question');
+  const bankOf = useMemo(() => new Map(banks.flatMap(b => b.questions.map(q => [q, b]))), [banks]);
+  const flagged = flaggedId === null ? undefined : allQuestions.find(q => String(q.id) === flaggedId);
+  const editorFor = (q) => ({ bankId: bankOf.get(q).id, originalId: String(q.id), draft: toDraft(q) });
+
+  const [filters, setFilters] = useState({ search: '', category: '', subCategory: '', bankId: '' });
+  // { bankId, originalId, draft }; originalId is null for a new question. A flagged question opens straight away.
+  const [editing, setEditing] = useState(() => (flagged ? editorFor(flagged) : null));
+  const [selected, setSelected] = useState(() => new Set());
+  const [bulk, setBulk] = useState({ category: '', subCategory: '' });
+
+  const enabledBanks = banks.filter(b => b.enabled);
+  const categories = useMemo(() => [...new Set(allQuestions.map(q => q.category).filter(Boolean))], [allQuestions]);
+  const papers = useMemo(() => [...new Set(allQuestions.map(q => q.subCategory).filter(Boolean))], [allQuestions]);
+  const visible = useMemo(() => searchQuestions(allQuestions, filters).filter(q => !filters.bankId || bankOf.get(q)?.id === filters.bankId), [allQuestions, filters, bankOf]);
+
+  const editingBank = editing && banks.find(b => b.id === editing.bankId);
+  const original = editing && editing.originalId !== null ? editingBank?.questions.find(q => String(q.id) === editing.originalId) : null;
+  // Ids must be unique across the library and within the question's own bank
+  const otherIds = useMemo(() => new Set(
+    [...allQuestions, ...(editingBank ? editingBank.questions : [])].filter(q => q !== original).map(q => String(q.id)),
+  ), [allQuestions, editingBank, original]);
+  const issues = editing ? validateDraft(editing.draft, otherIds) : [];
+  const caseSize = editing?.draft.caseId && editingBank ? editingBank.questions.filter(q => q.caseId === editing.draft.caseId).length : 0;
+
+  const closeEditor = () => {
+    setEditing(null);
+    if (flaggedId !== null) navigate('/editor', { replace: true });
+  };
+
+  const handleNew = () => {
+    const bankId = filters.bankId || enabledBanks[0]?.id || null;
+    const taken = new Set(banks.flatMap(b => b.questions.map(q => String(q.id))));
+    setEditing({ bankId, originalId: null, draft: newDraft(uniqueId(`q-${taken.size + 1}`, taken), { category: filters.category, subCategory: filters.subCategory }) });
+  };
+
+  const handleSave = () => {
+    const question = fromDraft(editing.draft);
+    if (editing.bankId !== null) {
+      editBank(editing.bankId, bank => saveToBank(bank, editing.originalId, question));
+    } else {
+      // No bank is enabled. Loading under a name replaces that bank, so a disabled
+      // "My Questions" from earlier is added to, and switched back on, instead.
+      const myQuestions = banks.find(b => b.name === MY_QUESTIONS_BANK);
+      if (myQuestions) editBank(myQuestions.id, bank => ({ ...saveToBank(bank, null, question), enabled: true }));
+      else loadQuestions([question], MY_QUESTIONS_BANK);
+    }
+    closeEditor();
+  };
+
+  const handleDuplicate = (q) => {
+    const bank = bankOf.get(q);
+    const taken = new Set([...allQuestions, ...bank.questions].map(x => String(x.id)));
+    const newId = uniqueId(`${q.id}-copy`, taken);
+    const copied = duplicateInBank(bank, q.id, newId);
+    editBank(bank.id, () => copied);
+    setEditing({ bankId: bank.id, originalId: newId, draft: toDraft(copied.questions.find(x => x.id === newId)) });
+  };
+
+  const handleDelete = (q) => {
+    if (!window.confirm(`Delete question ${q.id}? This can't be undone, but you can download the bank first.`)) return;
+    editBank(bankOf.get(q).id, bank => deleteFromBank(bank, q.id));
+    if (editing?.originalId === String(q.id)) closeEditor();
+    setSelected(prev => { const next = new Set(prev); next.delete(String(q.id)); return next });
+  };
+
+  const toggleSelected = (id) => setSelected((prev) => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+  const allVisibleSelected = visible.length > 0 && visible.every(q => selected.has(String(q.id)));
+  const toggleAllVisible = () => setSelected(allVisibleSelected ? new Set() : new Set(visible.map(q => String(q.id))));
+
+  const handleRecategorize = () => {
+    const picked = allQuestions.filter(q => selected.has(String(q.id)));
+    const bankIds = new Set(picked.map(q => bankOf.get(q).id));
+    bankIds.forEach((bankId) => {
+      const ids = new Set(picked.filter(q => bankOf.get(q).id === bankId).map(q => String(q.id)));
+      editBank(bankId, bank => recategorizeInBank(bank, ids, { category: bulk.category.trim(), subCategory: bulk.subCategory.trim() }));
+    });
+    setSelected(new Set());
+    setBulk({ category: '', subCategory: '' });
+  };
+
+  const handleDownload = () => {
+    const bank = banks.find(b => b.id === filters.bankId);
+    if (bank) downloadJson(`${bank.name}.json`, bank.questions);
+    else downloadJson('Question Library.json', allQuestions);
+  };
+
+  const setFilter = (field) => (e) => setFilters(prev => ({ ...prev, [field]: e.target.value }));
+  const selectClass = 'p-2 border border-gray-300 rounded-md text-sm';
+
+  return (
+    <main className="min-h-screen bg-gray-50 p-4 sm:p-8">
+      <div className="max-w-6xl mx-auto bg-white p-8 rounded-xl shadow-lg">
+        <div className="flex justify-between items-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-800">Question Bank Editor</h1>
+          <button onClick={() => navigate('/')} className="px-6 py-2 bg-gray-300 text-gray-700 font-semibold rounded-lg hover:bg-gray-400">Home</button>
+        </div>
+
+        {flaggedId !== null && !flagged && (
+          <p role="alert" className="mb-4 p-3 bg-yellow-50 text-yellow-900 rounded-lg text-sm">Question {flaggedId} isn't in the active banks. Enable or reload its bank to edit it.</p>
+        )}
+
+        <datalist id="editor-categories">{categories.map(c => <option key={c} value={c} />)}</datalist>
+        <datalist id="editor-papers">{papers.map(p => <option key={p} value={p} />)}</datalist>
+
+        {editing && (
+          <QuestionForm
+            editing={editing}
+            onChange={(draft) => setEditing(prev => ({ ...prev, draft }))}
+            onBankChange={(bankId) => setEditing(prev => ({ ...prev, bankId }))}
+            issues={issues}
+            banks={enabledBanks}
+            caseSize={caseSize}
+            onSave={handleSave}
+            onCancel={closeEditor}
+          />
+        )}
+
+        <div className="flex flex-wrap gap-3 mb-4">
+          <input type="search" value={filters.search} onChange={setFilter('search')} placeholder="Search questions, options, explanations..." aria-label="Search questions" className={`flex-1 min-w-[12rem] ${selectClass}`} />
+          <select value={filters.category} onChange={setFilter('category')} aria-label="Filter by subject" className={selectClass}>
+            <option value="">All subjects</option>
+            {categories.map(c => <option key={c} value={c}>{c}</option>)}
+          </select>
+          <select value={filters.subCategory} onChange={setFilter('subCategory')} aria-label="Filter by paper" className={selectClass}>
+            <option value="">All papers</option>
+            {papers.map(p => <option key={p} value={p}>{p}</option>)}
+          </select>
+          <select value={filters.bankId} onChange={setFilter('bankId')} aria-label="Filter by bank" className={selectClass}>
+            <option value="">All banks</option>
+            {enabledBanks.map(b => <option key={b.id} value={b.id}>{b.name}</option>)}
+          </select>
+          <button onClick={handleNew} className="px-4 py-2 text-sm bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700">New Question</button>
+          <button onClick={handleDownload} disabled={allQuestions.length === 0} className="px-4 py-2 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-100 disabled:opacity-50">
+            {filters.bankId ? 'Download Bank (JSON)' : 'Download Library (JSON)'}
+          </button>
+        </div>
+
+        {selected.size > 0 && (
+          <div className="flex flex-wrap items-center gap-3 mb-4 p-3 bg-blue-50 rounded-lg text-sm">
+            <span className="font-semibold text-blue-900">{selected.size} selected</span>
+            <input value={bulk.category} onChange={(e) => setBulk(prev => ({ ...prev, category: e.target.value }))} list="editor-categories" placeholder="New subject" aria-label="New subject" className={selectClass} />
+            <input value={bulk.subCategory} onChange={(e) => setBulk(prev => ({ ...prev, subCategory: e.target.value }))} list="editor-papers" placeholder="New paper" aria-label="New paper" className={selectClass} />
+            <button onClick={handleRecategorize} disabled={!bulk.category.trim() && !bulk.subCategory.trim()} className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-400">Re-categorise</button>
+            <button onClick={() => setSelected(new Set())} className="text-blue-700 hover:underline">Clear selection</button>
+          </div>
+        )}
+
+        <p className="text-sm text-gray-600 mb-2">Showing {visible.length} of {allQuestions.length} questions.</p>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-left">
+            <thead className="text-gray-600 border-b">
+              <tr>
+                <th className="p-2"><input type="checkbox" checked={allVisibleSelected} onChange={toggleAllVisible} aria-label="Select all shown" /></th>
+                <th className="p-2">ID</th><th className="p-2">Question</th><th className="p-2">Subject</th><th className="p-2">Paper</th><th className="p-2">Type</th><th className="p-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map(q => (
+                <tr key={q.id} className={`border-b ${editing?.originalId === String(q.id) ? 'bg-blue-50' : ''}`}>
+                  <td className="p-2"><input type="checkbox" checked={selected.has(String(q.id))} onChange={() => toggleSelected(String(q.id))} aria-label={`Select question ${q.id}`} /></td>
+                  <td className="p-2 whitespace-nowrap">{q.id}</td>
+                  <td className="p-2">{q.caseTitle && <span className="text-gray-500">[{q.caseTitle}] </span>}{q.question}</td>
+                  <td className="p-2">{q.category}</td>
+                  <td className="p-2">{q.subCategory}</td>
+                  <td className="p-2 whitespace-nowrap">{QUESTION_TYPE_LABELS[questionType(q)] || q.type}</td>
+                  <td className="p-2 space-x-2 whitespace-nowrap">
+                    <button onClick={() => setEditing(editorFor(q))} className="text-blue-700 hover:underline">Edit</button>
+                    <button onClick={() => handleDuplicate(q)} className="text-blue-700 hover:underline">Duplicate</button>
+                    <button onClick={() => handleDelete(q)} className="text-red-600 hover:underline">Delete</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </main>
+  );
+}
+
+// --- Main App Component (Router) ---
+// Rendered inside a BrowserRouter (see index.js); vercel.json serves index.html for every path.
+export default function App() {
   return (
     <>
-      <link href="https://cdn.tailwindcss.com" rel="stylesheet" />
-      <link href="https://cdn.jsdelivr.net/npm/@tailwindcss/typography@0.5.x/dist/typography.min.css" rel="stylesheet" />
-      {renderPage()}
+      <OfflineIndicator />
+      <StorageNotice />
+      <Routes>
+        <Route path="/" element={<HomePage />} />
+        <Route path="/quiz" element={<QuizPage />} />
+        <Route path="/results/:attemptId" element={<ResultsPage />} />
+        <Route path="/history" element={<HistoryPage />} />
+        <Route path="/compare" element={<ComparePage />} />
+        <Route path="/editor" element={<EditorPage />} />
+        <Route path="/review/:questionId" element={<QuestionReviewPage />} />
+        <Route path="*" element={<Navigate to="/" replace />} />
+      </Routes>
     </>
   );
 }
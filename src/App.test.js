@@ -0,0 +1,181 @@
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import App, { useQuizStore } from './App';
+
+const initialState = useQuizStore.getState();
+
+const bankFile = [
+  { id: 'f1', question: 'Who settles futures trades?', options: ['Clearing corporation', 'Broker', 'Investor', 'SEBI'], answer: 'Clearing corporation', category: 'Futures', subCategory: 'Paper 1', explanation: 'The clearing corporation is the counterparty.' },
+  { id: 'o1', question: 'What does a call option give its buyer?', options: ['The right to buy', 'The right to sell', 'An obligation to buy', 'An obligation to sell'], answer: 'The right to buy', category: 'Options', subCategory: 'Paper 1' },
+  { id: 'o2', question: 'Which Greek measures time decay?', options: ['Theta', 'Delta', 'Gamma', 'Vega'], answer: 'Theta', category: 'Options', subCategory: 'Paper 2' },
+];
+
+const byQuestion = Object.fromEntries(bankFile.map(q => [q.question, q]));
+
+// The quiz is shuffled, so look up whichever question is on screen.
+const currentQuestion = () => byQuestion[bankFile.map(q => q.question).find(text => screen.queryByText(text))];
+
+const renderApp = () => render(
+  <MemoryRouter initialEntries={['/']} future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+    <App />
+  </MemoryRouter>
+);
+
+const originalFetch = window.fetch;
+
+beforeEach(() => {
+  localStorage.clear();
+  useQuizStore.setState(initialState, true);
+  window.fetch = () => Promise.reject(new TypeError('Failed to fetch')); // No bundled catalog in tests
+});
+
+afterEach(() => {
+  window.fetch = originalFetch;
+});
+
+test('load a file, take a quiz, submit it and review the answers', async () => {
+  const user = userEvent.setup();
+  const { container } = renderApp();
+
+  // Load
+  const file = new File([JSON.stringify(bankFile)], 'derivatives.json', { type: 'application/json' });
+  await user.upload(container.querySelector('input[type="file"]'), file);
+  await user.click(await screen.findByRole('button', { name: 'Import 3 Questions' }));
+  expect(await screen.findByText('Available questions for this selection: 3')).toBeInTheDocument();
+
+  // Start
+  await user.click(screen.getByRole('button', { name: 'Start Quiz' }));
+  expect(await screen.findByRole('heading', { name: 'Question 1' })).toBeInTheDocument();
+
+  // Answer: the first right, the second wrong, the third left blank
+  const first = currentQuestion();
+  await user.click(screen.getByRole('radio', { name: new RegExp(first.answer) }));
+  await user.click(screen.getByRole('button', { name: 'Next' }));
+  const second = currentQuestion();
+  const wrong = second.options.find(o => o !== second.answer);
+  await user.click(screen.getByRole('radio', { name: new RegExp(wrong) }));
+  await user.click(screen.getByRole('button', { name: 'Next' }));
+  const third = currentQuestion();
+
+  // Submit
+  await user.click(screen.getByRole('button', { name: 'Submit Test' }));
+  const dialog = screen.getByRole('dialog', { name: 'Submit the test?' });
+  expect(within(dialog).getByText(/unanswered: Q3/)).toBeInTheDocument();
+  await user.click(within(dialog).getByRole('button', { name: 'Submit' }));
+
+  // Results: 1 - 0.25 marks, well short of the 60% pass mark. The page also holds the
+  // print-only report, which jsdom doesn't hide, so look in the on-screen results.
+  const results = within((await screen.findByRole('heading', { name: 'Test Results' })).parentElement);
+  expect(results.getByText('FAIL')).toBeInTheDocument();
+  expect(results.getByText('0.75 / 3')).toBeInTheDocument();
+  expect(results.getByText('33.33% (1/3)')).toBeInTheDocument();
+
+  // Review
+  await user.click(results.getByRole('button', { name: 'Review Answers' }));
+  const review = results.getByRole('heading', { name: 'Answer Review' }).parentElement;
+  const card = (q) => within(review).getByText(new RegExp(q.question.replace('?', '\\?'))).closest('div.border');
+  expect(within(card(first)).getAllByText(first.answer)).toHaveLength(2);
+  expect(within(card(second)).getByText(wrong)).toHaveClass('text-red-600');
+  expect(within(card(third)).getByText('Not Answered')).toBeInTheDocument();
+
+  const { attempts, memory } = useQuizStore.getState();
+  expect(attempts).toHaveLength(1);
+  expect(Object.keys(memory).sort()).toEqual([first.id, second.id].sort());
+});
+
+describe('quiz links', () => {
+  const originalConfirm = window.confirm;
+  let prompts;
+
+  const openLink = (entry, confirmed = true) => {
+    prompts = 0;
+    window.confirm = () => { prompts += 1; return confirmed; };
+    return render(
+      <MemoryRouter initialEntries={[entry]} future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+        <App />
+      </MemoryRouter>
+    );
+  };
+
+  beforeEach(() => useQuizStore.getState().loadQuestions(bankFile, 'Derivatives'));
+
+  afterEach(() => {
+    window.confirm = originalConfirm;
+  });
+
+  test('a quiz link regenerates the same questions from its seed', async () => {
+    useQuizStore.getState().startQuiz({ type: 'all', value: null, count: 2 });
+    const { quizConfig, questions } = useQuizStore.getState();
+    useQuizStore.getState().reset();
+
+    openLink(`/quiz?type=all&count=2&seed=${quizConfig.seed}`);
+
+    expect(await screen.findByText(questions[0].question)).toBeInTheDocument();
+    expect(prompts).toBe(1);
+    expect(useQuizStore.getState().questions.map(q => q.id)).toEqual(questions.map(q => q.id));
+  });
+
+  test('declining the prompt goes home without starting', async () => {
+    openLink('/quiz?type=all&count=2&seed=7', false);
+    expect(await screen.findByRole('button', { name: 'Start Quiz' })).toBeInTheDocument();
+    expect(useQuizStore.getState().isTestRunning).toBe(false);
+  });
+
+  test('going back to a quiz that has already run goes home instead of starting another', async () => {
+    openLink({ pathname: '/quiz', search: '?type=all&count=2&seed=7', state: { quizStarted: true } });
+    expect(await screen.findByRole('button', { name: 'Start Quiz' })).toBeInTheDocument();
+    expect(prompts).toBe(0);
+    expect(useQuizStore.getState().isTestRunning).toBe(false);
+  });
+});
+
+test('a question written with every bank disabled is added to the earlier My Questions bank', async () => {
+  const user = userEvent.setup();
+  useQuizStore.getState().loadQuestions(bankFile, 'My Questions');
+  useQuizStore.getState().toggleBank(useQuizStore.getState().banks[0].id);
+  render(
+    <MemoryRouter initialEntries={['/editor']} future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+      <App />
+    </MemoryRouter>
+  );
+
+  await user.click(screen.getByRole('button', { name: 'New Question' }));
+  await user.type(screen.getByLabelText('Question'), 'What does vega measure?');
+  await user.type(screen.getByLabelText('Subject (category)'), 'Options');
+  await user.type(screen.getByLabelText('Paper (subCategory)'), 'Paper 2');
+  await user.type(screen.getByLabelText('Option A'), 'Sensitivity to volatility');
+  await user.type(screen.getByLabelText('Option B'), 'Time decay');
+  const removeButtons = screen.getAllByRole('button', { name: 'Remove' });
+  await user.click(removeButtons[3]);
+  await user.click(removeButtons[2]);
+  await user.click(screen.getByLabelText('Option A is correct'));
+  await user.click(screen.getByRole('button', { name: 'Save' }));
+
+  const { banks, allQuestions } = useQuizStore.getState();
+  expect(banks).toHaveLength(1);
+  expect(banks[0]).toMatchObject({ name: 'My Questions', enabled: true });
+  expect(banks[0].questions.map(q => q.question)).toEqual([...bankFile.map(q => q.question), 'What does vega measure?']);
+  expect(allQuestions).toHaveLength(4);
+});
+
+test('the progress charts draw the pass mark the attempts were scored with', () => {
+  const attempt = (id, passPercent) => ({
+    id, date: '2026-10-19T09:30:00.000Z', label: 'Quiz', score: 2, totalQuestions: 4, accuracy: 50, correctCount: 2, passed: false,
+    rules: { negativeMarkRatio: 0.25, passPercent }, topicAnalysis: [{ topic: 'Futures', correct: 2, total: 4, accuracy: 50 }], answeredQuestions: [],
+  });
+  const renderHistory = () => render(
+    <MemoryRouter initialEntries={['/history']} future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
+      <App />
+    </MemoryRouter>
+  );
+
+  useQuizStore.setState({ attempts: [attempt('a1', 50), attempt('a2', 50)] });
+  const { unmount } = renderHistory();
+  expect(screen.getByText('Dashed line: the 50% pass mark.')).toBeInTheDocument();
+  unmount();
+
+  useQuizStore.setState({ attempts: [attempt('a1', 50), attempt('a2', 60)] });
+  renderHistory();
+  expect(screen.getByText(/different pass marks/)).toBeInTheDocument();
+});
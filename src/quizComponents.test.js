@@ -0,0 +1,203 @@
+import { render, screen, act } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { useQuizStore, QuestionCard, QuizTimer, QuizSummary } from './App';
+
+const initialState = useQuizStore.getState();
+
+const q = (id, extra) => ({ id, question: `Question ${id}`, options: ['Call', 'Put', 'Swap', 'Forward'], answer: 'Call', category: 'Options', subCategory: 'Paper 1', ...extra });
+
+const store = () => useQuizStore.getState();
+
+// Starts a quiz over exactly these questions, in this order.
+const startWith = (questions, config = { type: 'all', value: null, count: questions.length }) => {
+  store().loadQuestions(questions, 'Test Bank');
+  store().startQuiz(config);
+  useQuizStore.setState({
+    questions: questions.map((x, i) => ({ ...x, userAnswer: null, showAnswer: false, markedForReview: false, visited: i === 0 })),
+  });
+};
+
+// QuestionCard takes its question as a prop, as QuizPage hands it the current one.
+function CurrentQuestion() {
+  const { questions, currentQuestionIndex } = useQuizStore();
+  return <QuestionCard question={questions[currentQuestionIndex]} questionNumber={currentQuestionIndex + 1} />;
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  useQuizStore.setState(initialState, true);
+});
+
+describe('QuestionCard', () => {
+  test('picks an option, then checking reveals the answer and locks it', async () => {
+    const user = userEvent.setup();
+    startWith([q('q1', { explanation: 'Calls give the right to buy.' })]);
+    render(<CurrentQuestion />);
+
+    expect(screen.getByRole('heading', { name: 'Question 1' })).toBeInTheDocument();
+    await user.click(screen.getByRole('radio', { name: /Put/ }));
+    expect(screen.getByRole('radio', { name: /Put/ })).toHaveAttribute('aria-checked', 'true');
+    expect(store().questions[0].userAnswer).toBe('Put');
+
+    await user.click(screen.getByRole('button', { name: 'Check Answer' }));
+    expect(screen.getByRole('radio', { name: /Call.*correct answer/ })).toBeInTheDocument();
+    expect(screen.getByRole('radio', { name: /Put.*your answer, incorrect/ })).toBeInTheDocument();
+
+    await user.click(screen.getByRole('radio', { name: /Call/ }));
+    expect(store().questions[0].userAnswer).toBe('Put');
+  });
+
+  test('answers can be chosen from the keyboard', async () => {
+    const user = userEvent.setup();
+    startWith([q('q1')]);
+    render(<CurrentQuestion />);
+
+    screen.getByRole('radio', { name: /Call/ }).focus();
+    await user.keyboard('{ArrowDown}{ArrowDown}{Enter}');
+    expect(store().questions[0].userAnswer).toBe('Swap');
+  });
+
+  test('exam simulation has no Check Answer, but answers can be cleared and marked', async () => {
+    const user = userEvent.setup();
+    startWith([q('q1')], { type: 'exam', value: 'full-length-mock', count: 1 });
+    render(<CurrentQuestion />);
+
+    await user.click(screen.getByRole('radio', { name: /Forward/ }));
+    expect(screen.queryByRole('button', { name: 'Check Answer' })).not.toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Mark for Review' }));
+    expect(screen.getByText('Marked for review')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Clear Response' }));
+    expect(store().questions[0]).toMatchObject({ userAnswer: null, markedForReview: true });
+  });
+
+  test('multi-select options toggle on and off', async () => {
+    const user = userEvent.setup();
+    startWith([q('q1', { type: 'multi', answer: ['Call', 'Put'] })]);
+    render(<CurrentQuestion />);
+
+    await user.click(screen.getByRole('checkbox', { name: /Put/ }));
+    await user.click(screen.getByRole('checkbox', { name: /Call/ }));
+    await user.click(screen.getByRole('checkbox', { name: /Swap/ }));
+    await user.click(screen.getByRole('checkbox', { name: /Swap/ }));
+    expect(store().questions[0].userAnswer).toEqual(['Call', 'Put']);
+  });
+
+  test('numeric questions take a typed answer', async () => {
+    const user = userEvent.setup();
+    startWith([q('q1', { type: 'numeric', options: undefined, answer: 1040, unit: '₹' })]);
+    render(<CurrentQuestion />);
+
+    await user.type(screen.getByLabelText('Your answer (₹)'), '1040');
+    await user.click(screen.getByRole('button', { name: 'Check Answer' }));
+    expect(screen.getByText('Correct answer: 1040 ₹')).toBeInTheDocument();
+  });
+
+  test('practice mode explains a wrong answer and offers a retry', async () => {
+    const user = userEvent.setup();
+    startWith([q('q1', { explanation: 'Calls give the right to buy.' })], { type: 'all', value: null, count: 1, practice: true });
+    render(<CurrentQuestion />);
+
+    await user.click(screen.getByRole('radio', { name: /Put/ }));
+    expect(screen.getByText(/Not quite/)).toBeInTheDocument();
+    expect(screen.getByText('Calls give the right to buy.')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Try Again' }));
+    expect(store().questions[0]).toMatchObject({ userAnswer: null, showAnswer: false });
+  });
+});
+
+describe('QuizTimer', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('counts down and submits the test when time runs out', () => {
+    startWith([q('q1'), q('q2', { question: 'Another question' })]);
+    useQuizStore.setState({ testDurationMinutes: 1, startTime: Date.now() });
+    store().selectAnswer('q1', 'Call');
+    render(<QuizTimer />);
+
+    expect(screen.getByText('01:00')).toBeInTheDocument();
+    act(() => { jest.advanceTimersByTime(30 * 1000); });
+    expect(screen.getByText('00:30')).toBeInTheDocument();
+    expect(store().isTestRunning).toBe(true);
+
+    act(() => { jest.advanceTimersByTime(30 * 1000); });
+    expect(screen.getByText('00:00')).toBeInTheDocument();
+    expect(store().isTestRunning).toBe(false);
+    expect(store().finalResults).toMatchObject({ correctCount: 1, totalQuestions: 2, timeTakenSeconds: 60 });
+    expect(store().attempts).toHaveLength(1);
+  });
+
+  test('a resumed session shows the time actually left', () => {
+    startWith([q('q1')]);
+    useQuizStore.setState({ testDurationMinutes: 10, startTime: Date.now() - 4 * 60 * 1000 });
+    render(<QuizTimer />);
+    expect(screen.getByText('06:00')).toBeInTheDocument();
+  });
+
+  test('a new session started while the timer is on screen shows its own time', () => {
+    startWith([q('q1')]);
+    useQuizStore.setState({ testDurationMinutes: 10, startTime: Date.now() - 4 * 60 * 1000 });
+    render(<QuizTimer />);
+    act(() => { useQuizStore.setState({ startTime: Date.now() }); });
+    expect(screen.getByText('10:00')).toBeInTheDocument();
+  });
+
+  test('a session already out of time is submitted on the next tick', () => {
+    startWith([q('q1')]);
+    useQuizStore.setState({ testDurationMinutes: 1, startTime: Date.now() - 5 * 60 * 1000 });
+    render(<QuizTimer />);
+    act(() => { jest.advanceTimersByTime(1000); });
+    expect(store().attempts).toHaveLength(1);
+    expect(store().finalResults.timeTakenSeconds).toBe(60);
+  });
+});
+
+describe('QuizSummary', () => {
+  const questions = ['a', 'b', 'c', 'd'].map(id => q(id, { question: `Question ${id}` }));
+
+  test('shows each question with its status and moves to it on click', async () => {
+    const user = userEvent.setup();
+    startWith(questions);
+    store().selectAnswer('a', 'Call');
+    store().toggleMarkForReview('a');
+    store().navigateToQuestion(1);
+    store().toggleMarkForReview('b');
+    render(<QuizSummary />);
+
+    expect(screen.getByRole('button', { name: 'Question 1, Answered & Marked for Review' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Question 2, Marked for Review' })).toHaveAttribute('aria-current', 'step');
+    expect(screen.getByRole('button', { name: 'Question 3, Not Visited' })).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Question 4, Not Visited' }));
+    expect(store().currentQuestionIndex).toBe(3);
+    expect(screen.getByRole('button', { name: 'Question 4, Visited, Not Answered' })).toHaveAttribute('aria-current', 'step');
+  });
+
+  test('revealed answers show as correct or incorrect', () => {
+    startWith(questions);
+    store().selectAnswer('a', 'Call');
+    store().checkAnswer('a');
+    store().selectAnswer('b', 'Put');
+    store().checkAnswer('b');
+    render(<QuizSummary />);
+
+    expect(screen.getByRole('button', { name: 'Question 1, Correct' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Question 2, Incorrect' })).toBeInTheDocument();
+  });
+
+  test('filters the palette to unanswered or marked questions', async () => {
+    const user = userEvent.setup();
+    startWith(questions);
+    store().selectAnswer('a', 'Call');
+    store().toggleMarkForReview('c');
+    render(<QuizSummary />);
+
+    await user.click(screen.getByRole('button', { name: 'Unanswered (3)' }));
+    const palette = screen.getByRole('navigation', { name: 'Question palette' });
+    expect(palette.querySelectorAll('button')).toHaveLength(3);
+
+    await user.click(screen.getByRole('button', { name: 'Marked (1)' }));
+    expect(palette.querySelectorAll('button')).toHaveLength(1);
+    expect(screen.getByRole('button', { name: 'Question 3, Marked for Review' })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,240 @@
+import { useQuizStore, calculateAnalysis } from './App';
+
+const initialState = useQuizStore.getState();
+
+const q = (id, extra) => ({ id, question: `Question ${id}`, options: ['A', 'B', 'C', 'D'], answer: 'A', category: 'Futures', subCategory: 'Paper 1', ...extra });
+
+const bank = [
+  q('f1'), q('f2'), q('f3'),
+  q('o1', { category: 'Options' }), q('o2', { category: 'Options', subCategory: 'Paper 2' }),
+];
+
+const store = () => useQuizStore.getState();
+const ids = (questions) => questions.map(x => x.id);
+
+beforeEach(() => {
+  localStorage.clear();
+  useQuizStore.setState(initialState, true);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('calculateAnalysis', () => {
+  const rules = { negativeMarkRatio: 0.25, passPercent: 60 };
+
+  test('an attempt with nothing answered scores zero and fails', () => {
+    const result = calculateAnalysis(bank.map(x => ({ ...x, userAnswer: null })), rules);
+    expect(result).toMatchObject({ score: 0, correctCount: 0, incorrectCount: 0, accuracy: 0, passed: false });
+    expect(result.topicAnalysis.map(t => [t.topic, t.unanswered, t.total])).toEqual([['Futures', 3, 0], ['Options', 2, 0]]);
+  });
+
+  test('wrong answers can take the score below zero', () => {
+    const result = calculateAnalysis(bank.map(x => ({ ...x, userAnswer: 'B' })), rules);
+    expect(result.score).toBe(-1.25);
+    expect(result.passed).toBe(false);
+    expect(result.topicAnalysis.every(t => t.penaltyExceedsGain)).toBe(true);
+  });
+
+  test('the pass mark is reached at exactly passPercent of the questions', () => {
+    const answers = ['A', 'A', 'A', null, null];
+    expect(calculateAnalysis(bank.map((x, i) => ({ ...x, userAnswer: answers[i] })), rules)).toMatchObject({ score: 3, passed: true });
+    const withWrong = ['A', 'A', 'A', 'B', null];
+    expect(calculateAnalysis(bank.map((x, i) => ({ ...x, userAnswer: withWrong[i] })), rules)).toMatchObject({ score: 2.75, passed: false });
+  });
+
+  test('partly right multi-select answers earn their share without a penalty', () => {
+    const multi = q('m', { type: 'multi', answer: ['A', 'B'], scoring: 'partial', userAnswer: ['A'] });
+    expect(calculateAnalysis([multi], rules)).toMatchObject({ score: 0.5, partialCount: 1, incorrectCount: 0 });
+  });
+
+  test('an empty attempt has no NaNs', () => {
+    expect(calculateAnalysis([], rules)).toMatchObject({ score: 0, accuracy: 0, passed: false, topicAnalysis: [] });
+  });
+
+  test('practice attempts score the first try and report the eventual one', () => {
+    const practice = [q('p1', { userAnswer: 'A', attempts: ['B', 'A'] }), q('p2', { userAnswer: 'A', attempts: ['A'] })];
+    const result = calculateAnalysis(practice, rules);
+    expect(result.score).toBe(0.75);
+    expect(result.practice).toMatchObject({ firstAttemptCorrect: 1, eventualCorrect: 2, retries: 1 });
+  });
+});
+
+describe('question library', () => {
+  test('loading a bank under an existing name replaces it', () => {
+    store().loadQuestions(bank, 'Derivatives');
+    store().loadQuestions([q('x1')], 'Derivatives');
+    expect(store().banks).toHaveLength(1);
+    expect(ids(store().allQuestions)).toEqual(['x1']);
+  });
+
+  test('getDueSummary counts the due questions of the active banks and is reused until they change', () => {
+    store().loadQuestions(bank, 'Derivatives');
+    useQuizStore.setState({ memory: { f1: { dueAt: 0 }, o1: { dueAt: 0 }, o2: { dueAt: Date.now() + 60000 } } });
+    const summary = store().getDueSummary();
+    expect(summary).toEqual({ total: 2, byCategory: { Futures: 1, Options: 1 } });
+    expect(store().getDueSummary()).toBe(summary);
+    store().toggleBank(store().banks[0].id);
+    expect(store().getDueSummary()).toEqual({ total: 0, byCategory: {} });
+  });
+
+  test('disabled banks drop out of the pool', () => {
+    store().loadQuestions(bank, 'Derivatives');
+    store().loadQuestions([q('x1', { question: 'Another question' })], 'Extra');
+    store().toggleBank(store().banks[0].id);
+    expect(ids(store().allQuestions)).toEqual(['x1']);
+  });
+});
+
+describe('startQuiz', () => {
+  beforeEach(() => store().loadQuestions(bank, 'Derivatives'));
+
+  test('leaves the question library in its order', () => {
+    const before = store().allQuestions;
+    const order = ids(before);
+    store().startQuiz({ type: 'all', value: null, count: 5 });
+    expect(store().allQuestions).toBe(before);
+    expect(ids(store().allQuestions)).toEqual(order);
+  });
+
+  test('a count larger than the pool asks every question once, timed for what was drawn', () => {
+    store().startQuiz({ type: 'subject', value: 'Futures', count: 50 });
+    expect(ids(store().questions).sort()).toEqual(['f1', 'f2', 'f3']);
+    expect(store().testDurationMinutes).toBe(4);
+  });
+
+  test('starts a fresh session on the first question', () => {
+    store().startQuiz({ type: 'paper', value: 'Paper 2', count: 1 });
+    expect(store()).toMatchObject({ isTestRunning: true, currentQuestionIndex: 0, finalResults: null, testDurationMinutes: 2 });
+    expect(store().questions[0]).toMatchObject({ id: 'o2', userAnswer: null, visited: true, timeSpentMs: 0 });
+  });
+
+  test('the same seed draws the same quiz again', () => {
+    store().startQuiz({ type: 'all', value: null, count: 3 });
+    const { seed } = store().quizConfig;
+    const drawn = ids(store().questions);
+    expect(seed).toEqual(expect.any(Number));
+    store().reset();
+    store().startQuiz({ type: 'all', value: null, count: 3, seed });
+    expect(ids(store().questions)).toEqual(drawn);
+  });
+
+  test('due reviews keep their order and have no seed', () => {
+    useQuizStore.setState({ memory: { f2: { dueAt: 0, lapses: 1, repetitions: 0, easeFactor: 2 }, o1: { dueAt: 10, lapses: 0, repetitions: 1, easeFactor: 2.5 } } });
+    store().startQuiz({ type: 'review', value: null, count: 10 });
+    expect(ids(store().questions)).toEqual(['f2', 'o1']);
+    expect(store().quizConfig.seed).toBeUndefined();
+  });
+
+  test('practice sessions are untimed and queue every other question', () => {
+    store().startQuiz({ type: 'all', value: null, count: 3, practice: true });
+    expect(store().testDurationMinutes).toBe(0);
+    expect(store().practiceQueue).toEqual([1, 2]);
+  });
+});
+
+describe('answering and submitting', () => {
+  beforeEach(() => {
+    store().loadQuestions(bank, 'Derivatives');
+    store().startQuiz({ type: 'subject', value: 'Futures', count: 3 });
+  });
+
+  test('navigating marks questions visited and changing an answer is counted', () => {
+    const [first] = store().questions;
+    store().selectAnswer(first.id, 'B');
+    store().navigateToQuestion(1);
+    store().navigateToQuestion(0);
+    store().selectAnswer(first.id, 'A');
+    store().navigateToQuestion(2);
+    expect(store().questions.map(x => x.visited)).toEqual([true, true, true]);
+    expect(store().questions[0]).toMatchObject({ userAnswer: 'A', answerChanges: 1, initialAnswer: 'B' });
+  });
+
+  test('switching picks during one visit is counted as it happens', () => {
+    const [first] = store().questions;
+    store().selectAnswer(first.id, 'B');
+    store().selectAnswer(first.id, 'C');
+    store().selectAnswer(first.id, 'C');
+    store().clearResponse(first.id);
+    store().selectAnswer(first.id, 'A');
+    expect(store().questions[0]).toMatchObject({ answerChanges: 1, initialAnswer: 'B' });
+    store().submitTest();
+    expect(store().finalResults.timing).toMatchObject({ answerChanges: 1, changedToCorrect: 1, changedToIncorrect: 0 });
+  });
+
+  test('multi-select answers built up in one visit are not changes, but revising them later is', () => {
+    useQuizStore.setState(initialState, true);
+    store().loadQuestions([q('m1', { type: 'multi', answer: ['A', 'B'] }), q('m2', { question: 'Second' })], 'Multi');
+    store().startQuiz({ type: 'subject', value: 'Futures', count: 2 });
+    const index = store().questions.findIndex(x => x.id === 'm1');
+    store().navigateToQuestion(index);
+    store().selectAnswer('m1', ['A']);
+    store().selectAnswer('m1', ['A', 'C']);
+    store().navigateToQuestion(1 - index);
+    expect(store().questions[index]).toMatchObject({ answerChanges: 0, initialAnswer: ['A', 'C'] });
+    store().navigateToQuestion(index);
+    store().selectAnswer('m1', ['A', 'B']);
+    store().navigateToQuestion(1 - index);
+    expect(store().questions[index]).toMatchObject({ answerChanges: 1, initialAnswer: ['A', 'C'] });
+  });
+
+  test('navigation outside the quiz is ignored', () => {
+    store().navigateToQuestion(-1);
+    store().navigateToQuestion(3);
+    expect(store().currentQuestionIndex).toBe(0);
+  });
+
+  test('submitting saves the attempt and updates the memory of answered questions only', () => {
+    const [first, second] = store().questions;
+    store().selectAnswer(first.id, 'A');
+    store().selectAnswer(second.id, 'C');
+    store().submitTest();
+    const { attempts, finalResults, memory, isTestRunning } = store();
+    expect(isTestRunning).toBe(false);
+    expect(attempts).toEqual([finalResults]);
+    expect(finalResults).toMatchObject({ mode: 'subject', label: 'Futures', correctCount: 1, incorrectCount: 1, score: 0.75, passed: false });
+    expect(Object.keys(memory).sort()).toEqual([first.id, second.id].sort());
+    expect(memory[second.id].lapses).toBe(1);
+  });
+
+  test('a second submit, as when the timer and the button race, is ignored', () => {
+    store().submitTest();
+    store().submitTest();
+    expect(store().attempts).toHaveLength(1);
+  });
+
+  test('a full localStorage drops the oldest attempts and says so, instead of failing the submit', () => {
+    store().submitTest();
+    const oldest = store().attempts[0].id;
+    // Room for the session with one attempt, but not two
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(function setItem(name, value) {
+      if (JSON.parse(value).state.attempts.length > 1) throw new DOMException('Full', 'QuotaExceededError');
+    });
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 1000); // A new attempt id
+    store().reset();
+    store().startQuiz({ type: 'subject', value: 'Futures', count: 3 });
+
+    expect(() => store().submitTest()).not.toThrow();
+    expect(store().attempts.map(a => a.id)).toEqual([store().finalResults.id]);
+    expect(store().finalResults.id).not.toBe(oldest);
+    expect(store().storageNotice).toMatch(/the oldest saved attempt had to be removed/);
+  });
+
+  test('reset ends the session but keeps the library and history', () => {
+    store().submitTest();
+    store().reset();
+    expect(store()).toMatchObject({ questions: [], isTestRunning: false, finalResults: null, quizConfig: null });
+    expect(store().allQuestions).toHaveLength(5);
+    expect(store().attempts).toHaveLength(1);
+  });
+});
+
+test('wrong practice answers go back on the end of the queue', () => {
+  store().loadQuestions(bank, 'Derivatives');
+  store().startQuiz({ type: 'subject', value: 'Futures', count: 3, practice: true });
+  const [first] = store().questions;
+  store().selectAnswer(first.id, 'B');
+  expect(store().questions[0]).toMatchObject({ showAnswer: true, attempts: ['B'] });
+  expect(store().practiceQueue).toEqual([1, 2, 0]);
+  store().nextPracticeQuestion();
+  expect(store().currentQuestionIndex).toBe(1);
+});
@@ -0,0 +1,26 @@
+/* eslint-disable no-restricted-globals */
+// --- Service worker: service-worker.js ---
+// Built by react-scripts (Workbox InjectManifest) into /service-worker.js, which
+// replaces self.__WB_MANIFEST with the list of files in the build. The caching
+// rules themselves live in utils/offlineCache.js.
+
+import { shellUrls, precacheShell, precacheBanks, pruneShell, respond } from './utils/offlineCache';
+
+const publicUrl = process.env.PUBLIC_URL;
+const urls = shellUrls(self.__WB_MANIFEST, publicUrl);
+const env = () => ({ caches, fetch: (...args) => fetch(...args), origin: self.location.origin, publicUrl });
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    Promise.all([precacheShell(urls, env()), precacheBanks(publicUrl, env())]).then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(pruneShell(urls, env()).then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+  const response = respond(event.request, env());
+  if (response) event.respondWith(response);
+});
@@ -0,0 +1,12 @@
+// --- Service worker registration: serviceWorkerRegistration.js ---
+// Only production builds register the worker; in development it would serve stale
+// bundles over the dev server's hot reloads.
+
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(err => console.error('Service worker registration failed:', err));
+  });
+};
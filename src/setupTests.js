@@ -0,0 +1,2 @@
+// jest-dom adds DOM matchers such as toBeInTheDocument and toHaveAttribute.
+import '@testing-library/jest-dom';
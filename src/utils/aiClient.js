@@ -0,0 +1,221 @@
+// --- AI provider layer: utils/aiClient.js ---
+// The study plan and explanation features talk to a provider through generateText.
+// Settings (provider, key, endpoint) are entered by the user at runtime and stay in
+// their browser, so no API key is compiled into the bundle.
+
+export const DEFAULT_AI_SETTINGS = {
+  provider: 'none', // none | gemini | openai | mock
+  apiKey: '',
+  baseUrl: 'http://localhost:11434/v1', // OpenAI-compatible servers: Ollama, llama.cpp, LM Studio...
+  model: '',
+  timeoutMs: 30000,
+  maxRetries: 2,
+};
+
+// Bounds for the numeric settings. A cleared field would otherwise become 0 and every
+// request would time out before it was sent.
+export const AI_SETTING_LIMITS = {
+  timeoutMs: { min: 1000, max: 300000 },
+  maxRetries: { min: 0, max: 5 },
+};
+
+export const clampAiSetting = (key, value) => {
+  const { min, max } = AI_SETTING_LIMITS[key];
+  const number = value === '' || value === null ? NaN : Number(value);
+  if (!Number.isFinite(number)) return DEFAULT_AI_SETTINGS[key];
+  return Math.min(max, Math.max(min, Math.round(number)));
+};
+
+export const AI_PROVIDERS = {
+  none: { label: 'Disabled' },
+  gemini: { label: 'Google Gemini', defaultModel: 'gemini-2.0-flash' },
+  openai: { label: 'OpenAI-compatible (incl. local Ollama / llama.cpp)', defaultModel: 'llama3.1' },
+  mock: { label: 'Mock (offline, deterministic)' },
+};
+
+// --- Errors ---
+
+export class AIError extends Error {
+  constructor(message, { retryable = false, cause } = {}) {
+    super(message);
+    this.name = 'AIError';
+    this.retryable = retryable;
+    if (cause) this.cause = cause;
+  }
+}
+
+export class AIConfigError extends AIError {
+  constructor(message) {
+    super(message);
+    this.name = 'AIConfigError';
+  }
+}
+
+export class AITimeoutError extends AIError {
+  constructor(timeoutMs) {
+    super(`The AI did not answer within ${Math.round(timeoutMs / 1000)} seconds.`, { retryable: true });
+    this.name = 'AITimeoutError';
+  }
+}
+
+export class AINetworkError extends AIError {
+  constructor(cause) {
+    super('Could not reach the AI service.', { retryable: true, cause });
+    this.name = 'AINetworkError';
+  }
+}
+
+export class AIHttpError extends AIError {
+  constructor(status) {
+    // Rate limits and server errors are worth another try; auth and bad requests aren't.
+    super(`The AI service responded with status ${status}.`, { retryable: status === 429 || status >= 500 });
+    this.name = 'AIHttpError';
+    this.status = status;
+  }
+}
+
+export class AIResponseError extends AIError {
+  constructor(message = 'The AI returned a response in an unexpected format.') {
+    super(message);
+    this.name = 'AIResponseError';
+  }
+}
+
+// --- Adapters ---
+// Each provider is { name, generate(prompt, { signal }) => Promise<string> }.
+
+const postJson = async (url, body, headers, signal) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    throw new AINetworkError(err);
+  }
+  if (!response.ok) throw new AIHttpError(response.status);
+  try {
+    return await response.json();
+  } catch (err) {
+    throw new AIResponseError();
+  }
+};
+
+export const createGeminiProvider = ({ apiKey, model }) => {
+  if (!apiKey) throw new AIConfigError('Add a Gemini API key in AI settings.');
+  const modelName = model || AI_PROVIDERS.gemini.defaultModel;
+  return {
+    name: 'gemini',
+    generate: async (prompt, { signal } = {}) => {
+      const result = await postJson(
+        `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(modelName)}:generateContent`,
+        { contents: [{ role: 'user', parts: [{ text: prompt }] }] },
+        { 'x-goog-api-key': apiKey },
+        signal,
+      );
+      const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (typeof text !== 'string') throw new AIResponseError();
+      return text;
+    },
+  };
+};
+
+export const createOpenAICompatibleProvider = ({ apiKey, baseUrl, model }) => {
+  if (!baseUrl) throw new AIConfigError('Add the base URL of your OpenAI-compatible server in AI settings.');
+  const modelName = model || AI_PROVIDERS.openai.defaultModel;
+  return {
+    name: 'openai',
+    generate: async (prompt, { signal } = {}) => {
+      const result = await postJson(
+        `${baseUrl.replace(/\/+$/, '')}/chat/completions`,
+        { model: modelName, messages: [{ role: 'user', content: prompt }] },
+        apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        signal,
+      );
+      const text = result.choices?.[0]?.message?.content;
+      if (typeof text !== 'string') throw new AIResponseError();
+      return text;
+    },
+  };
+};
+
+// Deterministic stand-in for tests and offline demos: the same prompt always gives the same text.
+// `responses` maps a prompt substring to a canned reply; `fail` is an error (or a
+// function returning one) to throw instead.
+export const createMockProvider = ({ responses = {}, fail } = {}) => ({
+  name: 'mock',
+  generate: async (prompt) => {
+    if (fail) throw typeof fail === 'function' ? fail(prompt) : fail;
+    const match = Object.keys(responses).find(key => prompt.includes(key));
+    if (match) return responses[match];
+    return `**Mock AI response**\n\nThis is a placeholder generated offline for a prompt of ${prompt.length} characters.`;
+  },
+});
+
+export const createProvider = (settings = DEFAULT_AI_SETTINGS) => {
+  switch (settings.provider) {
+    case 'gemini': return createGeminiProvider(settings);
+    case 'openai': return createOpenAICompatibleProvider(settings);
+    case 'mock': return createMockProvider();
+    default: throw new AIConfigError('AI features are turned off. Choose a provider in AI settings.');
+  }
+};
+
+// --- Client ---
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const withTimeout = async (provider, prompt, timeoutMs) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await provider.generate(prompt, { signal: controller.signal });
+  } catch (err) {
+    if (err.name === 'AbortError') throw new AITimeoutError(timeoutMs);
+    throw err instanceof AIError ? err : new AIError(err.message || 'The AI request failed.', { cause: err });
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Runs a prompt with a per-try timeout, retrying retryable failures with exponential backoff.
+// Always resolves to text or rejects with an AIError.
+export const generateText = async (prompt, settings = DEFAULT_AI_SETTINGS, { provider, baseDelayMs = 500 } = {}) => {
+  const timeoutMs = clampAiSetting('timeoutMs', settings.timeoutMs ?? DEFAULT_AI_SETTINGS.timeoutMs);
+  const maxRetries = clampAiSetting('maxRetries', settings.maxRetries ?? DEFAULT_AI_SETTINGS.maxRetries);
+  const activeProvider = provider || createProvider(settings);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await withTimeout(activeProvider, prompt, timeoutMs);
+    } catch (err) {
+      if (!err.retryable || attempt >= maxRetries) throw err;
+      await wait(baseDelayMs * 2 ** attempt + Math.random() * baseDelayMs);
+    }
+  }
+};
+
+// Providers that keep working without an internet connection: the mock, and
+// OpenAI-compatible servers on this machine.
+export const isLocalProvider = (settings) => {
+  if (settings.provider === 'mock') return true;
+  if (settings.provider !== 'openai') return false;
+  try {
+    return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(settings.baseUrl).hostname);
+  } catch (err) {
+    return false;
+  }
+};
+
+export const isAIConfigured = (settings) => {
+  try {
+    createProvider(settings);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
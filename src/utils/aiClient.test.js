@@ -0,0 +1,144 @@
+import {
+  DEFAULT_AI_SETTINGS, AIError, AIConfigError, AIHttpError, AINetworkError, AITimeoutError,
+  clampAiSetting, createMockProvider, createProvider, generateText,
+} from './aiClient';
+
+const settings = { ...DEFAULT_AI_SETTINGS, provider: 'mock', timeoutMs: 1000, maxRetries: 2 };
+
+// Lets the awaits inside generateText run between fake timer steps.
+const flushPromises = async () => {
+  for (let i = 0; i < 10; i++) await Promise.resolve();
+};
+
+// A mock that fails with each of `errors` in turn, then answers.
+const flakyProvider = (errors) => {
+  const mock = createMockProvider({ responses: { plan: 'Study Greeks first.' } });
+  const provider = {
+    calls: 0,
+    generate: async (prompt, options) => {
+      const error = errors[provider.calls++];
+      if (error) throw error;
+      return mock.generate(prompt, options);
+    },
+  };
+  return provider;
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(Math, 'random').mockReturnValue(0); // No jitter, so the backoff is exact
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('createMockProvider', () => {
+  test('answers the same prompt the same way and can be made to fail', async () => {
+    const mock = createMockProvider({ responses: { plan: 'Study Greeks first.' } });
+    expect(await mock.generate('Write a study plan')).toBe('Study Greeks first.');
+    expect(await mock.generate('Explain theta')).toBe(await mock.generate('Explain theta'));
+    await expect(createMockProvider({ fail: new AIHttpError(500) }).generate('x')).rejects.toThrow(AIHttpError);
+  });
+});
+
+describe('errors', () => {
+  test('missing or disabled providers are configuration errors', () => {
+    expect(() => createProvider(DEFAULT_AI_SETTINGS)).toThrow(AIConfigError);
+    expect(() => createProvider({ ...DEFAULT_AI_SETTINGS, provider: 'gemini' })).toThrow(AIConfigError);
+    expect(() => createProvider({ ...DEFAULT_AI_SETTINGS, provider: 'openai', baseUrl: '' })).toThrow(/base URL/);
+  });
+
+  test('only rate limits, server errors, network failures and timeouts are retryable', () => {
+    expect(new AIHttpError(429).retryable).toBe(true);
+    expect(new AIHttpError(503).retryable).toBe(true);
+    expect(new AIHttpError(401).retryable).toBe(false);
+    expect(new AINetworkError(new TypeError('Failed to fetch')).retryable).toBe(true);
+    expect(new AITimeoutError(1000).retryable).toBe(true);
+  });
+
+  test('anything else a provider throws comes back as an AIError', async () => {
+    const provider = createMockProvider({ fail: () => new TypeError('boom') });
+    const result = generateText('x', settings, { provider });
+    await expect(result).rejects.toThrow(AIError);
+    await expect(result).rejects.toMatchObject({ message: 'boom', retryable: false });
+  });
+});
+
+describe('generateText', () => {
+  test('retries retryable failures after 500 ms, then 1 s', async () => {
+    const provider = flakyProvider([new AIHttpError(503), new AINetworkError()]);
+    const result = generateText('Write a study plan', settings, { provider });
+
+    await flushPromises();
+    expect(provider.calls).toBe(1);
+    jest.advanceTimersByTime(499);
+    await flushPromises();
+    expect(provider.calls).toBe(1);
+    jest.advanceTimersByTime(1);
+    await flushPromises();
+    expect(provider.calls).toBe(2);
+    jest.advanceTimersByTime(999);
+    await flushPromises();
+    expect(provider.calls).toBe(2);
+    jest.advanceTimersByTime(1);
+    await flushPromises();
+
+    await expect(result).resolves.toBe('Study Greeks first.');
+    expect(provider.calls).toBe(3);
+  });
+
+  test('gives up after maxRetries and rethrows the last error', async () => {
+    const provider = flakyProvider([new AIHttpError(503), new AIHttpError(503), new AIHttpError(502)]);
+    const result = generateText('x', settings, { provider });
+    result.catch(() => {}); // Checked below, once the timers have run
+
+    for (let i = 0; i < 3; i++) {
+      await flushPromises();
+      jest.runOnlyPendingTimers();
+    }
+    await expect(result).rejects.toMatchObject({ name: 'AIHttpError', status: 502 });
+    expect(provider.calls).toBe(3);
+  });
+
+  test('does not retry errors that would fail again', async () => {
+    const provider = flakyProvider([new AIHttpError(401)]);
+    await expect(generateText('x', settings, { provider })).rejects.toMatchObject({ status: 401 });
+    expect(provider.calls).toBe(1);
+  });
+
+  test('aborts a try that runs past the timeout', async () => {
+    let aborted = false;
+    const provider = {
+      generate: (prompt, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => {
+          aborted = true;
+          reject(new DOMException('The operation was aborted.', 'AbortError'));
+        });
+      }),
+    };
+    const result = generateText('x', { ...settings, maxRetries: 0 }, { provider });
+    result.catch(() => {});
+
+    jest.advanceTimersByTime(999);
+    expect(aborted).toBe(false);
+    jest.advanceTimersByTime(1);
+    await expect(result).rejects.toThrow(AITimeoutError);
+    expect(aborted).toBe(true);
+  });
+
+  test('a cleared timeout falls back to the default instead of timing out at once', async () => {
+    const provider = flakyProvider([]);
+    await expect(generateText('Write a study plan', { ...settings, timeoutMs: '' }, { provider })).resolves.toBe('Study Greeks first.');
+  });
+});
+
+test('clampAiSetting keeps the timeout and retries in range', () => {
+  expect(clampAiSetting('timeoutMs', '')).toBe(DEFAULT_AI_SETTINGS.timeoutMs);
+  expect(clampAiSetting('timeoutMs', 0)).toBe(1000);
+  expect(clampAiSetting('timeoutMs', '45000')).toBe(45000);
+  expect(clampAiSetting('maxRetries', 12)).toBe(5);
+  expect(clampAiSetting('maxRetries', -1)).toBe(0);
+  expect(clampAiSetting('maxRetries', 'abc')).toBe(DEFAULT_AI_SETTINGS.maxRetries);
+});
@@ -0,0 +1,161 @@
+// --- Attempt exports: utils/attemptExport.js ---
+// Finished attempts leave the app as CSV for spreadsheets, or as JSON that another
+// copy of the app can import to compare several attempts (or trainees) side by side.
+
+import { hasAnswer, scoredAnswer, answerCredit, formatAnswer, formatCorrectAnswer, questionType } from './questionTypes';
+import { DEFAULT_RULES } from './examProfiles';
+
+export const ATTEMPT_EXPORT_FORMAT = 'nism-quiz-attempts';
+export const ATTEMPT_EXPORT_VERSION = 1;
+
+export class AttemptImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AttemptImportError';
+  }
+}
+
+// 'correct', 'partial' (multi-select), 'incorrect' or 'unanswered'.
+export const responseResult = (q) => {
+  const answer = scoredAnswer(q);
+  if (!hasAnswer(answer)) return 'unanswered';
+  const credit = answerCredit(q, answer);
+  return credit === 1 ? 'correct' : credit > 0 ? 'partial' : 'incorrect';
+};
+
+// Marks a response contributed to the score, so the column of a CSV export sums to it.
+export const responseMarks = (q, rules = DEFAULT_RULES) => {
+  const result = responseResult(q);
+  if (result === 'unanswered') return 0;
+  if (result === 'incorrect') return -rules.negativeMarkRatio;
+  return Math.round(answerCredit(q, scoredAnswer(q)) * 10000) / 10000;
+};
+
+// Quotes fields that need it, and defuses text a spreadsheet would run as a formula.
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => `${rows.map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+
+export const responsesToCsv = (attempt) => {
+  const rules = attempt.rules || DEFAULT_RULES;
+  return toCsv([
+    ['#', 'Question ID', 'Subject', 'Paper', 'Type', 'Question', 'Your answer', 'Correct answer', 'Result', 'Marks', 'Tries', 'Time (s)', 'Answer changes', 'Explanation'],
+    ...attempt.answeredQuestions.map((q, index) => [
+      index + 1,
+      q.id,
+      q.category,
+      q.subCategory,
+      questionType(q),
+      q.question,
+      formatAnswer(q, scoredAnswer(q)),
+      formatCorrectAnswer(q),
+      responseResult(q),
+      responseMarks(q, rules),
+      q.attempts ? q.attempts.length : null,
+      q.timeSpentMs === undefined ? null : Math.round(q.timeSpentMs / 1000),
+      q.answerChanges,
+      q.explanation,
+    ]),
+  ]);
+};
+
+const round2 = (value) => (value === undefined ? null : Number(value.toFixed(2)));
+
+// Subjects, then papers. Accuracy is over answered questions, as on the results page;
+// attempts saved before the fuller breakdown leave those columns empty.
+export const topicAnalysisToCsv = (attempt) => toCsv([
+  ['Group', 'Name', 'Questions', 'Correct', 'Answered', 'Unanswered', 'Accuracy (%)', 'Avg time (s)', 'Net marks'],
+  ...[
+    ...attempt.topicAnalysis.map(t => ['Subject', t.topic, t]),
+    ...(attempt.paperAnalysis || []).map(p => ['Paper', p.paper, p]),
+  ].map(([group, name, stats]) => [
+    group,
+    name,
+    stats.questions,
+    stats.correct,
+    stats.total,
+    stats.unanswered,
+    round2(stats.accuracy),
+    stats.averageTimeMs === undefined ? null : Math.round(stats.averageTimeMs / 1000),
+    round2(stats.netMarks),
+  ]),
+]);
+
+// Imported attempts go back out as they came in, under the name they were exported with.
+const withoutImportFields = ({ importKey, traineeName, ...attempt }) => attempt;
+
+export const exportAttempts = (attempts, traineeName = '') => ({
+  format: ATTEMPT_EXPORT_FORMAT,
+  version: ATTEMPT_EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  traineeName,
+  attempts: attempts.map(withoutImportFields),
+});
+
+const slug = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// nism-attempt-2026-10-19-asha-rao-responses.csv
+export const attemptFileName = (attempt, traineeName, suffix) =>
+  ['nism-attempt', attempt.date.slice(0, 10), slug(traineeName || ''), suffix].filter(Boolean).join('-');
+
+// Checks what the results, review and compare pages read, so a hand-edited file is
+// rejected here rather than breaking a page later.
+const isTopicStats = (t) => Boolean(t) && typeof t.topic === 'string'
+  && [t.correct, t.total, t.accuracy].every(Number.isFinite);
+
+const isAnsweredQuestion = (q) => Boolean(q) && typeof q === 'object'
+  && q.id !== undefined
+  && typeof q.question === 'string'
+  && (questionType(q) === 'numeric' || (Array.isArray(q.options) && q.options.every(o => typeof o === 'string')));
+
+const isAttempt = (a) => Boolean(a) && typeof a === 'object'
+  && typeof a.id === 'string'
+  && typeof a.date === 'string'
+  && [a.score, a.totalQuestions, a.accuracy, a.correctCount].every(Number.isFinite)
+  && Array.isArray(a.topicAnalysis)
+  && a.topicAnalysis.every(isTopicStats)
+  && Array.isArray(a.answeredQuestions)
+  && a.answeredQuestions.every(isAnsweredQuestion);
+
+// Reads a JSON export back; every attempt is tagged with the name it was exported under.
+export const parseAttemptExport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new AttemptImportError('The file is not valid JSON.');
+  }
+  if (!data || data.format !== ATTEMPT_EXPORT_FORMAT || !Array.isArray(data.attempts)) {
+    throw new AttemptImportError('This is not an attempt export. Use "Export JSON" on a results page or on Your Progress.');
+  }
+  if (data.version > ATTEMPT_EXPORT_VERSION) {
+    throw new AttemptImportError('This export was made by a newer version of the app.');
+  }
+  const broken = data.attempts.findIndex(a => !isAttempt(a));
+  if (broken !== -1) throw new AttemptImportError(`Attempt ${broken + 1} in this file is incomplete.`);
+  const traineeName = typeof data.traineeName === 'string' ? data.traineeName.trim() : '';
+  return data.attempts.map(attempt => ({ ...attempt, traineeName }));
+};
+
+// Lines attempts up by topic and by question; `results` holds one responseResult per
+// attempt, or null where that attempt didn't include the question. Most missed first.
+export const compareAttempts = (attempts) => {
+  const topics = [...new Set(attempts.flatMap(a => a.topicAnalysis.map(t => t.topic)))];
+  const rows = new Map();
+  attempts.forEach((attempt, column) => {
+    attempt.answeredQuestions.forEach((q) => {
+      const id = String(q.id);
+      if (!rows.has(id)) rows.set(id, { id, question: q.question, category: q.category, results: attempts.map(() => null) });
+      rows.get(id).results[column] = responseResult(q);
+    });
+  });
+  const questions = [...rows.values()]
+    .map(row => ({ ...row, misses: row.results.filter(r => r !== null && r !== 'correct').length }))
+    .sort((a, b) => b.misses - a.misses);
+  return { topics, questions };
+};
@@ -0,0 +1,111 @@
+import {
+  AttemptImportError, responseResult, responseMarks, responsesToCsv, topicAnalysisToCsv, exportAttempts, attemptFileName, parseAttemptExport, compareAttempts,
+} from './attemptExport';
+
+const rules = { negativeMarkRatio: 0.25, passPercent: 60 };
+
+const attempt = {
+  id: 'attempt-1',
+  date: '2026-10-19T09:30:00.000Z',
+  label: 'Equity Derivatives',
+  score: 1.25,
+  totalQuestions: 4,
+  accuracy: 25,
+  correctCount: 1,
+  incorrectCount: 1,
+  partialCount: 1,
+  passed: false,
+  timeTakenSeconds: 300,
+  rules,
+  topicAnalysis: [{ topic: 'Futures', correct: 1, total: 2, accuracy: 50 }, { topic: 'Options', correct: 0, total: 1, accuracy: 0 }],
+  answeredQuestions: [
+    { id: 1, question: 'What is a "future"?', options: ['A contract', 'A bond'], answer: 'A contract', userAnswer: 'A contract', category: 'Futures', subCategory: 'P1', explanation: 'Agreed today, settled later.' },
+    { id: 2, question: '=SUM(A1)', options: ['Yes', 'No'], answer: 'Yes', userAnswer: 'No', category: 'Futures', subCategory: 'P1' },
+    { id: 3, type: 'multi', scoring: 'partial', question: 'Pick two', options: ['A', 'B', 'C'], answer: ['A', 'B'], userAnswer: ['A'], category: 'Options', subCategory: 'P1' },
+    { id: 4, question: 'Skipped', options: ['A', 'B'], answer: 'A', userAnswer: null, category: 'Options', subCategory: 'P1' },
+  ],
+};
+
+const csvRows = (csv) => csv.trimEnd().split('\r\n');
+
+test('responseResult and responseMarks match the scoring rules', () => {
+  const [right, wrong, partial, skipped] = attempt.answeredQuestions;
+  expect([right, wrong, partial, skipped].map(responseResult)).toEqual(['correct', 'incorrect', 'partial', 'unanswered']);
+  expect([right, wrong, partial, skipped].map(q => responseMarks(q, rules))).toEqual([1, -0.25, 0.5, 0]);
+});
+
+test('the responses CSV has one row per question, quotes text and sums to the score', () => {
+  const rows = csvRows(responsesToCsv(attempt));
+  expect(rows).toHaveLength(5);
+  expect(rows[1]).toBe('1,1,Futures,P1,single,"What is a ""future""?",A contract,A contract,correct,1,,,,"Agreed today, settled later."');
+  expect(rows[2]).toContain(",'=SUM(A1),");
+  expect(rows[3]).toContain(',A,A; B,partial,0.5,');
+  expect(rows[4]).toContain(',,A,unanswered,0,');
+  const marks = rows.slice(1).reduce((sum, row) => sum + Number(row.split(',')[9]), 0);
+  expect(marks).toBe(attempt.score);
+});
+
+test('the topic CSV lists subjects, then papers', () => {
+  const withPapers = {
+    ...attempt,
+    topicAnalysis: [{ topic: 'Futures', questions: 3, correct: 1, total: 2, unanswered: 1, accuracy: 50, averageTimeMs: 41600, netMarks: 0.75 }],
+    paperAnalysis: [{ paper: 'P1', questions: 3, correct: 1, total: 2, unanswered: 1, accuracy: 50, averageTimeMs: 41600, netMarks: 0.75 }],
+  };
+  expect(csvRows(topicAnalysisToCsv(withPapers))).toEqual([
+    'Group,Name,Questions,Correct,Answered,Unanswered,Accuracy (%),Avg time (s),Net marks',
+    'Subject,Futures,3,1,2,1,50,42,0.75',
+    'Paper,P1,3,1,2,1,50,42,0.75',
+  ]);
+  expect(csvRows(topicAnalysisToCsv(attempt))[1]).toBe('Subject,Futures,,1,2,,50,,');
+});
+
+test('attemptFileName includes the date and a slug of the name', () => {
+  expect(attemptFileName(attempt, 'Asha Rao', 'responses')).toBe('nism-attempt-2026-10-19-asha-rao-responses');
+  expect(attemptFileName(attempt, '')).toBe('nism-attempt-2026-10-19');
+});
+
+describe('parseAttemptExport', () => {
+  test('reads back what exportAttempts wrote, tagged with the trainee', () => {
+    const text = JSON.stringify(exportAttempts([attempt], 'Asha Rao'));
+    expect(parseAttemptExport(text)).toEqual([{ ...attempt, traineeName: 'Asha Rao' }]);
+  });
+
+  test('re-exporting an imported attempt drops the import bookkeeping', () => {
+    const [imported] = parseAttemptExport(JSON.stringify(exportAttempts([attempt], 'Asha Rao')));
+    expect(exportAttempts([{ ...imported, importKey: 'import:Asha Rao:attempt-1' }], 'Asha Rao').attempts).toEqual([attempt]);
+  });
+
+  test('rejects files that are not attempt exports', () => {
+    expect(() => parseAttemptExport('not json')).toThrow(AttemptImportError);
+    expect(() => parseAttemptExport('[{"id":1,"question":"Q"}]')).toThrow(/not an attempt export/);
+    expect(() => parseAttemptExport(JSON.stringify({ ...exportAttempts([attempt]), version: 99 }))).toThrow(/newer version/);
+    const { answeredQuestions, ...incomplete } = attempt;
+    expect(() => parseAttemptExport(JSON.stringify(exportAttempts([attempt, incomplete])))).toThrow('Attempt 2 in this file is incomplete.');
+  });
+
+  test('rejects attempts whose topics or questions the pages could not show', () => {
+    const broken = (changes) => () => parseAttemptExport(JSON.stringify(exportAttempts([{ ...attempt, ...changes }])));
+    const [first, ...rest] = attempt.answeredQuestions;
+    expect(broken({ topicAnalysis: [{ topic: 'Futures', correct: '1', total: 2, accuracy: 50 }] })).toThrow(/incomplete/);
+    expect(broken({ topicAnalysis: [{ correct: 1, total: 2, accuracy: 50 }] })).toThrow(/incomplete/);
+    expect(broken({ topicAnalysis: [null] })).toThrow(/incomplete/);
+    expect(broken({ answeredQuestions: [{ ...first, options: 'A contract' }, ...rest] })).toThrow(/incomplete/);
+    expect(broken({ answeredQuestions: [{ ...first, options: undefined }, ...rest] })).toThrow(/incomplete/);
+    const numeric = { id: 9, type: 'numeric', question: 'Premium?', answer: 12, userAnswer: '12', category: 'Options', subCategory: 'P1' };
+    expect(broken({ answeredQuestions: [...attempt.answeredQuestions, numeric] })).not.toThrow();
+  });
+});
+
+test('compareAttempts lines questions up across attempts, most missed first', () => {
+  const other = {
+    ...attempt,
+    id: 'attempt-2',
+    topicAnalysis: [{ topic: 'Hedging', correct: 1, total: 1, accuracy: 100 }],
+    answeredQuestions: [{ ...attempt.answeredQuestions[0], userAnswer: 'A bond' }, { id: 5, question: 'New', options: ['A'], answer: 'A', userAnswer: 'A', category: 'Hedging' }],
+  };
+  const { topics, questions } = compareAttempts([attempt, other]);
+  expect(topics).toEqual(['Futures', 'Options', 'Hedging']);
+  expect(questions.map(q => [q.id, q.misses])).toEqual([['1', 1], ['2', 1], ['3', 1], ['4', 1], ['5', 0]]);
+  expect(questions[0].results).toEqual(['correct', 'incorrect']);
+  expect(questions[4].results).toEqual([null, 'correct']);
+});
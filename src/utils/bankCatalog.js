@@ -0,0 +1,62 @@
+// --- Bundled catalog: utils/bankCatalog.js ---
+// Question banks shipped with the app live in public/banks, listed by manifest.json
+// ({ version, banks: [{ id, name, examSeries, version, questionCount, checksum, file }] }).
+// Files are checked against the manifest checksum so a stale or truncated download
+// never replaces a bank the user already has.
+
+import { expandQuestionRecords } from './questionTypes';
+
+export const CATALOG_BASE = `${process.env.PUBLIC_URL}/banks`;
+
+export class CatalogError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CatalogError';
+  }
+}
+
+const fetchText = async (url) => {
+  let response;
+  try {
+    response = await fetch(url, { cache: 'no-cache' });
+  } catch (err) {
+    throw new CatalogError('Could not reach the question catalog.');
+  }
+  if (!response.ok) throw new CatalogError(`The question catalog responded with status ${response.status}.`);
+  return response.text();
+};
+
+export const sha256Hex = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+export const fetchCatalog = async () => {
+  try {
+    const manifest = JSON.parse(await fetchText(`${CATALOG_BASE}/manifest.json`));
+    if (!Array.isArray(manifest.banks)) throw new Error('banks is not an array');
+    return manifest;
+  } catch (err) {
+    throw err instanceof CatalogError ? err : new CatalogError('The question catalog manifest is malformed.');
+  }
+};
+
+// Resolves to the bank's questions, with case groups expanded, once the file matches
+// its manifest entry.
+export const fetchCatalogBank = async (entry) => {
+  const text = await fetchText(`${CATALOG_BASE}/${entry.file}`);
+  if (`sha256-${await sha256Hex(text)}` !== entry.checksum) {
+    throw new CatalogError(`${entry.name} failed its checksum. Reload the page and try again.`);
+  }
+  const questions = expandQuestionRecords(JSON.parse(text));
+  if (!Array.isArray(questions) || questions.length !== entry.questionCount) {
+    throw new CatalogError(`${entry.name} doesn't have the ${entry.questionCount} questions its manifest lists.`);
+  }
+  return questions;
+};
+
+// Manifest entries whose version differs from the copy already loaded as a bank.
+export const findCatalogUpdates = (manifest, banks) => manifest.banks.filter((entry) => {
+  const loaded = banks.find(b => b.catalogId === entry.id);
+  return loaded && loaded.catalogVersion !== entry.version;
+});
@@ -0,0 +1,14 @@
+// --- File downloads: utils/download.js ---
+
+export const downloadFile = (fileName, content, type = 'application/json') => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+export const downloadJson = (fileName, data) => downloadFile(fileName, JSON.stringify(data, null, 2));
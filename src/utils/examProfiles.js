@@ -0,0 +1,80 @@
+// --- Exam simulation: utils/examProfiles.js ---
+// Each profile mirrors the published rules of a NISM certification exam.
+// blueprint maps a question category to its share (in %) of the paper; a null
+// blueprint draws from the whole pool.
+
+import { createRandom, newSeed, shuffle } from './seededRandom';
+
+export const DEFAULT_RULES = { negativeMarkRatio: 0.25, passPercent: 60 };
+
+export const EXAM_PROFILES = [
+  {
+    id: 'series-viii-equity-derivatives',
+    name: 'NISM Series VIII – Equity Derivatives',
+    questionCount: 100,
+    durationMinutes: 120,
+    negativeMarkRatio: 0.25,
+    passPercent: 60,
+    blueprint: {
+      'Basics of Derivatives': 6,
+      'Understanding the Index': 6,
+      'Introduction to Forwards and Futures': 12,
+      'Introduction to Options': 14,
+      'Option Trading Strategies': 12,
+      'Introduction to Trading Systems': 12,
+      'Introduction to Clearing and Settlement System': 14,
+      'Legal and Regulatory Environment': 10,
+      'Accounting and Taxation': 6,
+      'Sales Practices and Investors Protection Services': 8,
+    },
+  },
+  {
+    id: 'full-length-mock',
+    name: 'Full-length Mock (whole bank)',
+    questionCount: 100,
+    durationMinutes: 120,
+    negativeMarkRatio: 0.25,
+    passPercent: 60,
+    blueprint: null,
+  },
+];
+
+export const getExamProfile = (profileId) => EXAM_PROFILES.find(p => p.id === profileId) || null;
+
+// Splits count across the blueprint by largest remainder so the parts add up exactly.
+const allocate = (blueprint, count) => {
+  const entries = Object.entries(blueprint);
+  const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  const exact = entries.map(([category, weight]) => ({ category, exact: (weight / totalWeight) * count }));
+  const allocation = Object.fromEntries(exact.map(e => [e.category, Math.floor(e.exact)]));
+  let remaining = count - Object.values(allocation).reduce((a, b) => a + b, 0);
+  [...exact].sort((a, b) => (b.exact % 1) - (a.exact % 1)).forEach(({ category }) => {
+    if (remaining > 0) { allocation[category]++; remaining--; }
+  });
+  return allocation;
+};
+
+// Draws a paper that follows the profile's blueprint. Categories the pool can't
+// cover are reported as shortfalls and topped up from the rest of the pool.
+// random comes from createRandom, so the same seed draws the same paper.
+export const buildExamPaper = (pool, profile, random = createRandom(newSeed())) => {
+  if (!profile.blueprint) {
+    return { questions: shuffle(pool, random).slice(0, profile.questionCount), shortfalls: [] };
+  }
+
+  const picked = [];
+  const shortfalls = [];
+  Object.entries(allocate(profile.blueprint, profile.questionCount)).forEach(([category, wanted]) => {
+    const available = shuffle(pool.filter(q => q.category === category), random);
+    picked.push(...available.slice(0, wanted));
+    if (available.length < wanted) shortfalls.push({ category, wanted, available: available.length });
+  });
+
+  const missing = profile.questionCount - picked.length;
+  if (missing > 0) {
+    const pickedIds = new Set(picked.map(q => q.id));
+    picked.push(...shuffle(pool.filter(q => !pickedIds.has(q.id)), random).slice(0, missing));
+  }
+
+  return { questions: shuffle(picked, random), shortfalls };
+};
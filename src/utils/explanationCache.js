@@ -0,0 +1,34 @@
+// --- AI explanation cache: utils/explanationCache.js ---
+// Generated explanations are kept per question and answer pair so a review never
+// pays for the same explanation twice. The correct answer is part of the key, so
+// fixing a question's answer in the bank invalidates what was generated for it.
+
+export const explanationKey = (question, userAnswer) =>
+  JSON.stringify([String(question.id), question.answer, userAnswer || null]);
+
+export const getCachedExplanation = (cache, question, userAnswer) =>
+  cache[explanationKey(question, userAnswer)]?.text || null;
+
+// Copies cached explanations into each question's `explanation` field, after any
+// explanation the bank already had. Returns new question objects and how many were enriched.
+export const enrichQuestions = (questions, cache) => {
+  const entries = Object.values(cache);
+  let enrichedCount = 0;
+
+  const enriched = questions.map((q) => {
+    // By value: multi-select answers are arrays, and never the same array once stored
+    const answer = JSON.stringify(q.answer);
+    const matching = entries
+      .filter(e => e.questionId === String(q.id) && JSON.stringify(e.answer) === answer)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    if (matching.length === 0) return q;
+
+    enrichedCount++;
+    const sections = matching.map(e => (e.userAnswer
+      ? `**AI explanation (if you chose "${[].concat(e.userAnswer).join('; ')}"):**\n\n${e.text}`
+      : `**AI explanation:**\n\n${e.text}`));
+    return { ...q, explanation: [q.explanation, ...sections].filter(Boolean).join('\n\n') };
+  });
+
+  return { questions: enriched, enrichedCount };
+};
@@ -0,0 +1,69 @@
+import { explanationKey, getCachedExplanation, enrichQuestions } from './explanationCache';
+
+const single = { id: 1, question: 'What is a future?', options: ['A contract', 'A bond'], answer: 'A contract', explanation: 'Agreed today, settled later.' };
+const multi = { id: 2, type: 'multi', question: 'Pick two', options: ['A', 'B', 'C'], answer: ['A', 'B'] };
+
+// The cache as it comes back from localStorage: every array is a fresh copy.
+const stored = (cache) => JSON.parse(JSON.stringify(cache));
+
+const entry = (question, userAnswer, text, createdAt = '2026-10-19T09:00:00.000Z') => ({
+  [explanationKey(question, userAnswer)]: { questionId: String(question.id), answer: question.answer, userAnswer: userAnswer || null, text, createdAt },
+});
+
+describe('explanationKey', () => {
+  test('is the same for numeric and string ids, and for no answer however it is given', () => {
+    expect(explanationKey(single, 'A bond')).toBe(explanationKey({ ...single, id: '1' }, 'A bond'));
+    expect(explanationKey(single, null)).toBe(explanationKey(single, ''));
+    expect(explanationKey(multi, ['A', 'C'])).toBe(explanationKey({ ...multi, answer: ['A', 'B'] }, ['A', 'C']));
+  });
+
+  test('changes with the answer given and with the correct answer', () => {
+    expect(explanationKey(single, 'A bond')).not.toBe(explanationKey(single, null));
+    expect(explanationKey(single, 'A bond')).not.toBe(explanationKey({ ...single, answer: 'A bond' }, 'A bond'));
+  });
+});
+
+describe('getCachedExplanation', () => {
+  const cache = stored({ ...entry(single, 'A bond', 'A bond is a loan.'), ...entry(multi, ['A', 'C'], 'B is also right.') });
+
+  test('finds what was generated for the same question and answer', () => {
+    expect(getCachedExplanation(cache, single, 'A bond')).toBe('A bond is a loan.');
+    expect(getCachedExplanation(cache, { ...multi }, ['A', 'C'])).toBe('B is also right.');
+  });
+
+  test('misses for another answer, or once the correct answer is fixed in the bank', () => {
+    expect(getCachedExplanation(cache, single, null)).toBeNull();
+    expect(getCachedExplanation(cache, multi, ['A'])).toBeNull();
+    expect(getCachedExplanation(cache, { ...single, answer: 'A bond' }, 'A bond')).toBeNull();
+    expect(getCachedExplanation({}, single, 'A bond')).toBeNull();
+  });
+});
+
+describe('enrichQuestions', () => {
+  test('adds cached explanations after the bank one, oldest first, and counts the questions', () => {
+    const cache = {
+      ...entry(single, 'A bond', 'A bond is a loan.', '2026-10-19T10:00:00.000Z'),
+      ...entry(single, null, 'Futures fix the price today.'),
+    };
+    const { questions, enrichedCount } = enrichQuestions([single, { ...multi }], cache);
+    expect(enrichedCount).toBe(1);
+    expect(questions[0].explanation).toBe([
+      'Agreed today, settled later.',
+      '**AI explanation:**\n\nFutures fix the price today.',
+      '**AI explanation (if you chose "A bond"):**\n\nA bond is a loan.',
+    ].join('\n\n'));
+    expect(questions[1]).toEqual(multi);
+  });
+
+  test('matches multi-select answers by value after the cache is stored', () => {
+    const { questions, enrichedCount } = enrichQuestions([multi], stored(entry(multi, ['A', 'C'], 'B is also right.')));
+    expect(enrichedCount).toBe(1);
+    expect(questions[0].explanation).toBe('**AI explanation (if you chose "A; C"):**\n\nB is also right.');
+  });
+
+  test('leaves out explanations written for a different correct answer', () => {
+    const { questions, enrichedCount } = enrichQuestions([{ ...single, answer: 'A bond' }], entry(single, null, 'Outdated.'));
+    expect(enrichedCount).toBe(0);
+    expect(questions[0].explanation).toBe(single.explanation);
+  });
+});
@@ -0,0 +1,116 @@
+// --- Spreadsheet import: utils/importCsv.js ---
+// Turns CSV/TSV exports into the same question objects loadQuestions expects.
+
+// Target fields a column can be mapped to. Options are mapped separately
+// because a row spreads them over several columns.
+export const QUESTION_FIELDS = [
+  { key: 'id', label: 'ID', aliases: ['id', 'question_id', 'qid'] },
+  { key: 'question', label: 'Question', aliases: ['question', 'question_text', 'text'] },
+  { key: 'answer', label: 'Answer', aliases: ['answer', 'correct', 'correct_answer', 'correct_option'] },
+  { key: 'category', label: 'Subject (category)', aliases: ['category', 'subject', 'topic'] },
+  { key: 'subCategory', label: 'Paper (subCategory)', aliases: ['subcategory', 'sub_category', 'paper'] },
+  { key: 'explanation', label: 'Explanation', aliases: ['explanation', 'rationale', 'solution'] },
+];
+
+const REQUIRED_FIELDS = ['question', 'answer', 'category', 'subCategory'];
+
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// option_a, Option B, option-3, opt_c, a, b ...
+const OPTION_HEADER = /^(option|opt)?_?([a-h]|\d)$/;
+
+export const detectDelimiter = (text, fileName = '') => {
+  if (/\.tsv$/i.test(fileName)) return '\t';
+  if (/\.csv$/i.test(fileName)) return ',';
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  return (firstLine.match(/\t/g) || []).length > (firstLine.match(/,/g) || []).length ? '\t' : ',';
+};
+
+// RFC 4180 style parser: quoted fields may contain delimiters, newlines and "" escapes.
+export const parseDelimited = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') inQuotes = false;
+      else field += char;
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field); field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field); rows.push(row);
+      row = []; field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) { row.push(field); rows.push(row); }
+
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+};
+
+// Best guess at which column feeds which field, used to pre-fill the mapping step.
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = { options: [] };
+
+  QUESTION_FIELDS.forEach(({ key, aliases }) => {
+    const index = normalized.findIndex(h => aliases.includes(h));
+    mapping[key] = index === -1 ? null : index;
+  });
+  normalized.forEach((h, index) => {
+    if (OPTION_HEADER.test(h)) mapping.options.push(index);
+  });
+
+  return mapping;
+};
+
+export const isMappingComplete = (mapping) =>
+  REQUIRED_FIELDS.every(key => mapping[key] !== null && mapping[key] !== undefined) && mapping.options.length >= 2;
+
+// Answers may be the option text (any case) or its letter: "B", "b", "(b)", "Option B".
+const resolveAnswer = (raw, options) => {
+  const value = raw.trim();
+  if (options.includes(value)) return value;
+  const byText = options.find(o => o.toLowerCase() === value.toLowerCase());
+  if (byText) return byText;
+  const letter = value.match(/^(?:option\s*)?\(?([a-z])\)?\.?$/i);
+  if (letter) {
+    const index = letter[1].toLowerCase().charCodeAt(0) - 97;
+    if (index < options.length) return options[index];
+  }
+  return value;
+};
+
+// Stable id for rows without one, so re-importing the same sheet yields the same ids.
+const hashText = (text) => {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  return (hash >>> 0).toString(36);
+};
+
+export const rowsToQuestions = (rows, mapping) => rows.map((row) => {
+  const cell = (index) => (index === null || index === undefined ? '' : (row[index] || '').trim());
+  const options = mapping.options.map(cell).filter(o => o !== '');
+  const question = cell(mapping.question);
+
+  const record = {
+    id: mapping.id === null ? `q-${hashText(question)}` : cell(mapping.id),
+    question,
+    options,
+    answer: resolveAnswer(cell(mapping.answer), options),
+    category: cell(mapping.category),
+    subCategory: cell(mapping.subCategory),
+  };
+  const explanation = cell(mapping.explanation);
+  if (explanation) record.explanation = explanation;
+  return record;
+});
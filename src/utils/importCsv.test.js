@@ -0,0 +1,65 @@
+import { detectDelimiter, parseDelimited, guessColumnMapping, isMappingComplete, rowsToQuestions } from './importCsv';
+import { validateQuestions } from './validateQuestions';
+
+describe('parseDelimited', () => {
+  test('quoted fields keep their commas, newlines and doubled quotes', () => {
+    const text = 'question,option_a,option_b\r\n"Which is true, if any?","A ""call""\ngives a right",Neither\r\n';
+    expect(parseDelimited(text)).toEqual([
+      ['question', 'option_a', 'option_b'],
+      ['Which is true, if any?', 'A "call"\ngives a right', 'Neither'],
+    ]);
+  });
+
+  test('reads tab-delimited input and drops a byte order mark and blank lines', () => {
+    expect(parseDelimited('\uFEFFquestion\tanswer\n\nWhat is theta?\tTime decay\n\t\n', '\t')).toEqual([
+      ['question', 'answer'],
+      ['What is theta?', 'Time decay'],
+    ]);
+  });
+
+  test('keeps empty fields and a last line without a newline', () => {
+    expect(parseDelimited('a,,c\n1,2,')).toEqual([['a', '', 'c'], ['1', '2', '']]);
+  });
+});
+
+test('detectDelimiter goes by the file name, then by the header line', () => {
+  expect(detectDelimiter('a,b', 'bank.tsv')).toBe('\t');
+  expect(detectDelimiter('a\tb\tc', 'bank.csv')).toBe(',');
+  expect(detectDelimiter('question\toption a\toption, b\n')).toBe('\t');
+  expect(detectDelimiter('question,answer\n')).toBe(',');
+});
+
+test('guessColumnMapping recognises common headers and option columns', () => {
+  const mapping = guessColumnMapping(['Question ID', 'Question Text', 'Option A', 'option-b', 'opt_c', 'D', 'Correct Answer', 'Subject', 'Paper', 'Notes']);
+  expect(mapping).toEqual({ id: 0, question: 1, answer: 6, category: 7, subCategory: 8, explanation: null, options: [2, 3, 4, 5] });
+  expect(isMappingComplete(mapping)).toBe(true);
+  expect(isMappingComplete({ ...mapping, options: [2] })).toBe(false);
+  expect(isMappingComplete({ ...mapping, category: null })).toBe(false);
+});
+
+describe('rowsToQuestions', () => {
+  const headers = ['question', 'option_a', 'option_b', 'option_c', 'answer', 'subject', 'paper', 'explanation'];
+  const mapping = guessColumnMapping(headers);
+  const row = (answer, question = 'What does theta measure?') => [question, 'Delta risk', 'Time decay', 'Volatility', answer, 'Options', 'Paper 1', ''];
+
+  test('answers may be given as the option text or as its letter', () => {
+    const answers = rowsToQuestions(['Time decay', 'time DECAY', 'B', 'b', '(b)', 'Option B', 'b.'].map(answer => row(answer)), mapping).map(q => q.answer);
+    expect(answers).toEqual(Array(7).fill('Time decay'));
+  });
+
+  test('builds the question with a stable id when the sheet has none', () => {
+    const [first] = rowsToQuestions([row('B')], mapping);
+    expect(first).toEqual({
+      id: expect.stringMatching(/^q-/), question: 'What does theta measure?', options: ['Delta risk', 'Time decay', 'Volatility'], answer: 'Time decay', category: 'Options', subCategory: 'Paper 1',
+    });
+    expect(rowsToQuestions([row('B')], mapping)[0].id).toBe(first.id);
+  });
+
+  test('an answer that is neither an option nor a letter of one is rejected on validation', () => {
+    const questions = rowsToQuestions([row('Gamma'), row('D', 'Which Greek tracks time?')], mapping);
+    expect(questions.map(q => q.answer)).toEqual(['Gamma', 'D']);
+    const { issues, valid } = validateQuestions(questions);
+    expect(valid).toEqual([]);
+    expect(issues.filter(i => i.severity === 'error').map(i => [i.index, i.field])).toEqual([[0, 'answer'], [1, 'answer']]);
+  });
+});
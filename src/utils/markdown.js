@@ -0,0 +1,34 @@
+// --- Safe markdown: utils/markdown.js ---
+// AI output and question explanations are markdown from sources we don't control.
+// They are rendered with marked and then sanitised with DOMPurify against an
+// allow-list, so only formatting survives: no scripts, handlers, styles or images.
+
+import { marked } from 'marked';
+import DOMPurify from 'dompurify';
+
+const ALLOWED_TAGS = [
+  'p', 'br', 'hr', 'strong', 'em', 'b', 'i', 'del', 'code', 'pre', 'blockquote',
+  'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'table', 'thead', 'tbody', 'tr', 'th', 'td', 'a',
+];
+const ALLOWED_ATTR = ['href', 'title', 'align', 'start'];
+
+// Only plain web and mail links; javascript:, data: and friends are dropped.
+const SAFE_URL = /^(?:https?:|mailto:)/i;
+
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName !== 'A') return;
+  const href = node.getAttribute('href') || '';
+  if (!SAFE_URL.test(href)) {
+    node.removeAttribute('href');
+    return;
+  }
+  node.setAttribute('target', '_blank');
+  node.setAttribute('rel', 'noopener noreferrer');
+});
+
+export const renderMarkdown = (source) => {
+  if (source === null || source === undefined || source === '') return '';
+  const html = marked.parse(String(source), { gfm: true, breaks: true, async: false });
+  return DOMPurify.sanitize(html, { ALLOWED_TAGS, ALLOWED_ATTR, ADD_ATTR: ['target', 'rel'] });
+};
@@ -0,0 +1,92 @@
+import { renderMarkdown } from './markdown';
+
+// Parse the output so assertions look at the resulting DOM rather than string details.
+const render = (source) => {
+  const container = document.createElement('div');
+  container.innerHTML = renderMarkdown(source);
+  return container;
+};
+
+describe('renderMarkdown formatting', () => {
+  test('renders headings, emphasis and lists', () => {
+    const el = render('## Plan\n\n- **Greeks** first\n- then _options_\n\n1. one\n2. two');
+    expect(el.querySelector('h2').textContent).toBe('Plan');
+    expect(el.querySelector('ul li strong').textContent).toBe('Greeks');
+    expect(el.querySelector('ul li em').textContent).toBe('options');
+    expect(el.querySelectorAll('ol li')).toHaveLength(2);
+  });
+
+  test('renders GFM tables', () => {
+    const el = render('| Topic | Accuracy |\n|---|---|\n| Futures | 80% |');
+    expect(el.querySelectorAll('th')).toHaveLength(2);
+    expect(el.querySelector('td').textContent).toBe('Futures');
+  });
+
+  test('renders inline and fenced code without interpreting it', () => {
+    const el = render('Use `delta`.\n\n```\n<b>not bold</b>\n```');
+    expect(el.querySelector('p code').textContent).toBe('delta');
+    expect(el.querySelector('pre code').textContent).toContain('<b>not bold</b>');
+    expect(el.querySelector('pre b')).toBeNull();
+  });
+
+  test('keeps single line breaks', () => {
+    expect(render('line one\nline two').querySelector('br')).not.toBeNull();
+  });
+
+  test('returns an empty string for empty input', () => {
+    expect(renderMarkdown('')).toBe('');
+    expect(renderMarkdown(null)).toBe('');
+    expect(renderMarkdown(undefined)).toBe('');
+  });
+});
+
+describe('renderMarkdown sanitisation', () => {
+  const hostilePayloads = [
+    '<script>alert(1)</script>',
+    '<img src=x onerror="alert(1)">',
+    '<svg onload="alert(1)"><script>alert(1)</script></svg>',
+    '<iframe src="https://evil.example"></iframe>',
+    '<object data="evil.swf"></object><embed src="evil.swf">',
+    '<style>body { display: none }</style>',
+    '<form action="https://evil.example"><input name="x"><button>Go</button></form>',
+    '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+    '<div onclick="alert(1)" onmouseover="alert(1)">hover</div>',
+    '<p style="background:url(javascript:alert(1))">styled</p>',
+    '<meta http-equiv="refresh" content="0;url=https://evil.example">',
+  ];
+
+  test.each(hostilePayloads)('strips active content from %s', (payload) => {
+    const el = render(payload);
+    expect(el.querySelector('script, img, svg, iframe, object, embed, style, form, input, math, meta')).toBeNull();
+    el.querySelectorAll('*').forEach((node) => {
+      [...node.attributes].forEach(({ name }) => {
+        expect(name).not.toMatch(/^on/i);
+        expect(name).not.toBe('style');
+      });
+    });
+  });
+
+  test.each([
+    '[click](javascript:alert(1))',
+    '[click](JaVaScRiPt:alert(1))',
+    '[click](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+    '[click](vbscript:msgbox(1))',
+    '<a href="javascript:alert(1)">click</a>',
+    '<a href="&#106;avascript:alert(1)">click</a>',
+  ])('drops unsafe link targets in %s', (payload) => {
+    const link = render(payload).querySelector('a');
+    expect(link.textContent).toBe('click');
+    expect(link.hasAttribute('href')).toBe(false);
+  });
+
+  test('keeps safe links and opens them in a new tab without an opener', () => {
+    const link = render('[NISM](https://www.nism.ac.in)').querySelector('a');
+    expect(link.getAttribute('href')).toBe('https://www.nism.ac.in');
+    expect(link.getAttribute('target')).toBe('_blank');
+    expect(link.getAttribute('rel')).toBe('noopener noreferrer');
+  });
+
+  test('keeps the text of stripped markup', () => {
+    expect(render('<marquee>still readable</marquee>').textContent).toContain('still readable');
+  });
+});
@@ -0,0 +1,53 @@
+// --- Question library: utils/mergeBanks.js ---
+// Combines the enabled banks into one pool. The first copy of a question wins;
+// later copies with the same id or the same question text are dropped, and
+// reported as conflicts when they don't agree with the copy that was kept.
+// Assertion-reason and case questions are read with their assertion and reason or
+// their passage, so those count as part of the text: every assertion-reason item can
+// share the default prompt, and two cases can both ask "What is the payoff?".
+
+export const normalizeText = (text) =>
+  String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+export const questionKey = (q) => [q.question, q.assertion, q.reason, q.passage].map(normalizeText).join('|');
+
+const describe = (bank, q) => ({ bankName: bank.name, id: q.id, question: q.question, answer: q.answer });
+
+export const mergeBanks = (banks) => {
+  const byId = new Map();
+  const byText = new Map();
+  const questions = [];
+  const conflicts = [];
+  let duplicateCount = 0;
+
+  banks.filter(b => b.enabled).forEach((bank) => {
+    bank.questions.forEach((q) => {
+      const textKey = questionKey(q);
+      const sameId = byId.get(String(q.id));
+      const sameText = byText.get(textKey);
+
+      if (sameId) {
+        duplicateCount++;
+        if (questionKey(sameId.q) !== textKey) {
+          conflicts.push({ reason: 'id', kept: describe(sameId.bank, sameId.q), dropped: describe(bank, q) });
+        } else if (normalizeText(sameId.q.answer) !== normalizeText(q.answer)) {
+          conflicts.push({ reason: 'answer', kept: describe(sameId.bank, sameId.q), dropped: describe(bank, q) });
+        }
+        return;
+      }
+      if (sameText) {
+        duplicateCount++;
+        if (normalizeText(sameText.q.answer) !== normalizeText(q.answer)) {
+          conflicts.push({ reason: 'answer', kept: describe(sameText.bank, sameText.q), dropped: describe(bank, q) });
+        }
+        return;
+      }
+
+      byId.set(String(q.id), { bank, q });
+      byText.set(textKey, { bank, q });
+      questions.push(q);
+    });
+  });
+
+  return { questions, conflicts, duplicateCount };
+};
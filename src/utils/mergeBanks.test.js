@@ -0,0 +1,36 @@
+import { mergeBanks } from './mergeBanks';
+import { expandQuestionRecords } from './questionTypes';
+
+const bank = (name, questions) => ({ id: name, name, enabled: true, questions });
+const q = (id, question, answer = 'A') => ({ id, question, options: ['A', 'B'], answer, category: 'C', subCategory: 'P' });
+
+test('drops repeated ids and repeated text, and reports copies that disagree', () => {
+  const { questions, conflicts, duplicateCount } = mergeBanks([
+    bank('One', [q(1, 'What is a future?'), q(2, 'What is an option?')]),
+    bank('Two', [q(1, 'What is a future?'), q(3, 'What is an OPTION?', 'B'), q(2, 'Something else')]),
+  ]);
+  expect(questions.map(x => x.id)).toEqual([1, 2]);
+  expect(duplicateCount).toBe(3);
+  expect(conflicts.map(c => c.reason)).toEqual(['answer', 'id']);
+});
+
+test('disabled banks are left out', () => {
+  const { questions } = mergeBanks([bank('One', [q(1, 'Q')]), { ...bank('Two', [q(2, 'R')]), enabled: false }]);
+  expect(questions.map(x => x.id)).toEqual([1]);
+});
+
+test('assertion-reason items and case questions are told apart by their assertion, reason or passage', () => {
+  const records = expandQuestionRecords([
+    { id: 'a1', type: 'assertion-reason', assertion: 'Futures are marked to market daily.', reason: 'The exchange settles profits and losses each day.', answer: 'Both A and R are true, and R is the correct explanation of A' },
+    { id: 'a2', type: 'assertion-reason', assertion: 'Options buyers pay a premium.', reason: 'Option writers take on the obligation.', answer: 'Both A and R are true, but R is not the correct explanation of A' },
+    { type: 'case', id: 'c1', passage: 'Asha buys a call at 100 with a premium of 5.', questions: [{ id: 'c1q1', question: 'What is the payoff?', options: ['10', '15'], answer: '10' }] },
+    { type: 'case', id: 'c2', passage: 'Ravi sells a put at 200 for a premium of 8.', questions: [{ id: 'c2q1', question: 'What is the payoff?', options: ['8', '0'], answer: '8' }] },
+  ]);
+  const { questions, conflicts, duplicateCount } = mergeBanks([bank('One', records)]);
+  expect(questions.map(x => x.id)).toEqual(['a1', 'a2', 'c1q1', 'c2q1']);
+  expect(duplicateCount).toBe(0);
+  expect(conflicts).toEqual([]);
+
+  // The same case loaded from a second bank is still a duplicate
+  expect(mergeBanks([bank('One', records), bank('Two', records.map(r => ({ ...r, id: `copy-${r.id}` })))]).questions).toHaveLength(4);
+});
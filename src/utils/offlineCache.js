@@ -0,0 +1,95 @@
+// --- Offline support: utils/offlineCache.js ---
+// The caching rules behind src/service-worker.js. They take the Cache API, fetch and
+// the app's origin as arguments so the same code runs in the worker and in tests.
+//
+// - The app shell (the build's HTML, JS, CSS and icons) is precached on install and
+//   served cache-first; hashed file names make stale copies impossible.
+// - Page loads go to the network first and fall back to the cached index.html, so
+//   every route (/quiz, /results/...) opens offline.
+// - Bundled banks are precached from their manifest and served network-first, so
+//   catalog updates arrive as soon as the user is back online.
+
+export const SHELL_CACHE = 'nism-quiz-shell';
+export const BANKS_CACHE = 'nism-quiz-banks';
+
+const PUBLIC_FILES = ['manifest.json', 'icon-192.png', 'icon-512.png', 'apple-touch-icon.png'];
+
+// wbManifest is the [{ url, revision }] list webpack injects as self.__WB_MANIFEST.
+export const shellUrls = (wbManifest, publicUrl = '') => [
+  ...new Set([
+    ...wbManifest.map(entry => entry.url),
+    ...PUBLIC_FILES.map(file => `${publicUrl}/${file}`),
+  ]),
+];
+
+const isOk = (response) => Boolean(response) && response.ok;
+
+export const precacheShell = async (urls, { caches, fetch }) => {
+  const cache = await caches.open(SHELL_CACHE);
+  await Promise.all(urls.map(async (url) => {
+    const response = await fetch(url, { cache: 'reload' });
+    if (!isOk(response)) throw new Error(`Precaching ${url} failed with status ${response.status}.`);
+    await cache.put(url, response);
+  }));
+};
+
+// A missing or broken catalog doesn't block installing the app; the banks will be
+// cached the first time they are loaded online instead.
+export const precacheBanks = async (publicUrl, { caches, fetch }) => {
+  const cache = await caches.open(BANKS_CACHE);
+  const manifestUrl = `${publicUrl}/banks/manifest.json`;
+  try {
+    const response = await fetch(manifestUrl, { cache: 'reload' });
+    if (!isOk(response)) return;
+    const manifest = await response.clone().json();
+    await cache.put(manifestUrl, response);
+    await Promise.all(manifest.banks.map(async ({ file }) => {
+      const url = `${publicUrl}/banks/${file}`;
+      const bankResponse = await fetch(url, { cache: 'reload' });
+      if (isOk(bankResponse)) await cache.put(url, bankResponse);
+    }));
+  } catch (err) {
+    console.warn('Bundled banks were not precached:', err);
+  }
+};
+
+// Drops shell files left over from a previous build.
+export const pruneShell = async (urls, { caches, origin }) => {
+  const keep = new Set(urls.map(url => new URL(url, origin).href));
+  const cache = await caches.open(SHELL_CACHE);
+  const requests = await cache.keys();
+  await Promise.all(requests.filter(request => !keep.has(request.url)).map(request => cache.delete(request)));
+};
+
+const networkFirst = async (request, cacheName, fallbackUrl, { caches, fetch }) => {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (isOk(response) && cacheName === BANKS_CACHE) await cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(fallbackUrl || request);
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+const cacheFirst = async (request, { caches, fetch }) => {
+  const cached = await caches.match(request);
+  return cached || fetch(request);
+};
+
+// Returns the response promise for requests the worker handles, or null to leave
+// the request to the browser (other origins, such as AI providers, and non-GETs).
+export const respond = (request, { caches, fetch, origin, publicUrl = '' }) => {
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== origin) return null;
+
+  if (request.mode === 'navigate') {
+    return networkFirst(request, SHELL_CACHE, `${publicUrl}/index.html`, { caches, fetch });
+  }
+  if (url.pathname.startsWith(`${publicUrl}/banks/`)) {
+    return networkFirst(request, BANKS_CACHE, null, { caches, fetch });
+  }
+  return cacheFirst(request, { caches, fetch });
+};
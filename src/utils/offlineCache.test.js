@@ -0,0 +1,174 @@
+import { SHELL_CACHE, BANKS_CACHE, shellUrls, precacheShell, precacheBanks, pruneShell, respond } from './offlineCache';
+
+const ORIGIN = 'https://nism-quiz.example';
+
+const fakeResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  body,
+  clone: () => fakeResponse(body, status),
+  json: async () => JSON.parse(body),
+});
+
+const keyOf = (request) => new URL(typeof request === 'string' ? request : request.url, ORIGIN).href;
+
+const fakeCaches = () => {
+  const stores = new Map();
+  const open = async (name) => {
+    if (!stores.has(name)) {
+      const entries = new Map();
+      stores.set(name, {
+        entries,
+        put: async (request, response) => { entries.set(keyOf(request), response) },
+        match: async (request) => entries.get(keyOf(request)),
+        keys: async () => [...entries.keys()].map(url => ({ url })),
+        delete: async (request) => entries.delete(keyOf(request)),
+      });
+    }
+    return stores.get(name);
+  };
+  const match = async (request) => {
+    for (const cache of stores.values()) {
+      const hit = await cache.match(request);
+      if (hit) return hit;
+    }
+    return undefined;
+  };
+  return { open, match, stores };
+};
+
+// A server holding `files` (path -> body) that can be taken offline. Like vercel.json,
+// it answers page loads for unknown paths with index.html.
+const fakeNetwork = (files) => {
+  const network = {
+    online: true,
+    files,
+    fetch: async (request) => {
+      if (!network.online) throw new TypeError('Failed to fetch');
+      const { pathname } = new URL(keyOf(request));
+      if (pathname in network.files) return fakeResponse(network.files[pathname]);
+      return request.mode === 'navigate' ? fakeResponse(network.files['/index.html']) : fakeResponse('Not found', 404);
+    },
+  };
+  return network;
+};
+
+const catalog = { version: '1', banks: [{ id: 'series-viii', file: 'series-viii.json' }] };
+
+const buildFiles = () => ({
+  '/index.html': '<div id="root"></div>',
+  '/static/js/main.abc12345.js': 'console.log("app")',
+  '/static/css/main.abc12345.css': 'body{}',
+  '/manifest.json': '{}',
+  '/icon-192.png': 'png',
+  '/icon-512.png': 'png',
+  '/apple-touch-icon.png': 'png',
+  '/banks/manifest.json': JSON.stringify(catalog),
+  '/banks/series-viii.json': '[{"id":"q1"}]',
+});
+
+const wbManifest = [
+  { url: '/index.html', revision: 'abc' },
+  { url: '/static/js/main.abc12345.js', revision: null },
+  { url: '/static/css/main.abc12345.css', revision: null },
+];
+
+const request = (path, mode = 'cors', method = 'GET') => ({ url: `${ORIGIN}${path}`, mode, method });
+
+const install = async (network, caches) => {
+  const env = { caches, fetch: network.fetch, origin: ORIGIN };
+  await precacheShell(shellUrls(wbManifest), env);
+  await precacheBanks('', env);
+  return env;
+};
+
+describe('offline load', () => {
+  test('opens any route, the bundle and the bundled banks once the network is gone', async () => {
+    const network = fakeNetwork(buildFiles());
+    const env = await install(network, fakeCaches());
+    network.online = false;
+
+    expect((await respond(request('/', 'navigate'), env)).body).toBe('<div id="root"></div>');
+    expect((await respond(request('/results/attempt-1', 'navigate'), env)).body).toBe('<div id="root"></div>');
+    expect((await respond(request('/quiz?type=paper&value=X&count=50', 'navigate'), env)).body).toBe('<div id="root"></div>');
+    expect((await respond(request('/static/js/main.abc12345.js'), env)).body).toBe('console.log("app")');
+    expect((await respond(request('/static/css/main.abc12345.css'), env)).body).toBe('body{}');
+    expect(JSON.parse((await respond(request('/banks/manifest.json'), env)).body)).toEqual(catalog);
+    expect((await respond(request('/banks/series-viii.json'), env)).body).toBe('[{"id":"q1"}]');
+  });
+
+  test('fails like the network for files that were never cached', async () => {
+    const network = fakeNetwork(buildFiles());
+    const env = await install(network, fakeCaches());
+    network.online = false;
+
+    await expect(respond(request('/static/js/missing.js'), env)).rejects.toThrow('Failed to fetch');
+  });
+
+  test('still installs the app shell when the catalog is missing', async () => {
+    const files = buildFiles();
+    delete files['/banks/manifest.json'];
+    const caches = fakeCaches();
+    const network = fakeNetwork(files);
+    const env = await install(network, caches);
+    network.online = false;
+
+    expect((await respond(request('/history', 'navigate'), env)).body).toBe('<div id="root"></div>');
+    expect((await caches.open(BANKS_CACHE)).entries.size).toBe(0);
+  });
+
+  test('fails the install when a shell file is missing, so a broken build is never activated', async () => {
+    const files = buildFiles();
+    delete files['/static/js/main.abc12345.js'];
+
+    await expect(install(fakeNetwork(files), fakeCaches())).rejects.toThrow('/static/js/main.abc12345.js');
+  });
+});
+
+describe('online', () => {
+  test('loads pages from the network and keeps cached banks up to date', async () => {
+    const network = fakeNetwork(buildFiles());
+    const env = await install(network, fakeCaches());
+
+    network.files['/index.html'] = '<div id="root" data-build="2"></div>';
+    network.files['/banks/series-viii.json'] = '[{"id":"q1"},{"id":"q2"}]';
+    expect((await respond(request('/', 'navigate'), env)).body).toBe('<div id="root" data-build="2"></div>');
+    expect((await respond(request('/banks/series-viii.json'), env)).body).toBe('[{"id":"q1"},{"id":"q2"}]');
+
+    network.online = false;
+    expect((await respond(request('/banks/series-viii.json'), env)).body).toBe('[{"id":"q1"},{"id":"q2"}]');
+  });
+
+  test('leaves other origins and non-GET requests to the browser', async () => {
+    const env = { caches: fakeCaches(), fetch: fakeNetwork(buildFiles()).fetch, origin: ORIGIN };
+
+    expect(respond({ url: 'https://generativelanguage.googleapis.com/v1beta/models', method: 'POST', mode: 'cors' }, env)).toBeNull();
+    expect(respond({ url: 'https://cdn.example.com/lib.js', method: 'GET', mode: 'cors' }, env)).toBeNull();
+    expect(respond(request('/index.html', 'cors', 'POST'), env)).toBeNull();
+  });
+
+  test('drops shell files from a previous build on activate', async () => {
+    const caches = fakeCaches();
+    const network = fakeNetwork(buildFiles());
+    await install(network, caches);
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.put('/static/js/main.old00000.js', fakeResponse('old'));
+
+    await pruneShell(shellUrls(wbManifest), { caches, origin: ORIGIN });
+
+    expect(await shell.match('/static/js/main.old00000.js')).toBeUndefined();
+    expect(await shell.match('/static/js/main.abc12345.js')).toBeDefined();
+  });
+});
+
+test('shellUrls adds the public files and the public URL prefix', () => {
+  expect(shellUrls(wbManifest, '/app')).toEqual([
+    '/index.html',
+    '/static/js/main.abc12345.js',
+    '/static/css/main.abc12345.css',
+    '/app/manifest.json',
+    '/app/icon-192.png',
+    '/app/icon-512.png',
+    '/app/apple-touch-icon.png',
+  ]);
+});
@@ -0,0 +1,98 @@
+// --- Performance breakdowns: utils/performance.js ---
+// Per-topic and per-paper statistics for a finished attempt, and where the time went.
+// Questions carry timeSpentMs, answerChanges and initialAnswer from the quiz session;
+// attempts saved before these were recorded simply have no timing.
+
+import { hasAnswer, scoredAnswer, answerCredit, isCorrectAnswer } from './questionTypes';
+
+// Accuracy below which answering loses marks on average: p - (1 - p) * ratio = 0.
+export const breakEvenAccuracy = (negativeMarkRatio) => (negativeMarkRatio / (1 + negativeMarkRatio)) * 100;
+
+// Groups questions by keyOf(q). `total` counts answered questions, as topicAnalysis always
+// has; `questions` counts every question in the group. penaltyExceedsGain flags groups
+// where negative marking took more than the answers earned, so blanks would have scored better.
+export const groupStats = (questions, keyOf, rules) => {
+  const groups = new Map();
+  questions.forEach((q) => {
+    const key = keyOf(q);
+    if (!groups.has(key)) {
+      groups.set(key, { questions: 0, total: 0, correct: 0, partial: 0, incorrect: 0, unanswered: 0, marks: 0, timeSpentMs: 0, answerChanges: 0 });
+    }
+    const group = groups.get(key);
+    group.questions++;
+    group.timeSpentMs += q.timeSpentMs || 0;
+    group.answerChanges += q.answerChanges || 0;
+    const answer = scoredAnswer(q);
+    if (!hasAnswer(answer)) {
+      group.unanswered++;
+      return;
+    }
+    group.total++;
+    const credit = answerCredit(q, answer);
+    group.marks += credit;
+    if (credit === 1) group.correct++;
+    else if (credit > 0) group.partial++;
+    else group.incorrect++;
+  });
+
+  return [...groups.entries()].map(([name, group]) => {
+    const penalty = group.incorrect * rules.negativeMarkRatio;
+    return {
+      name,
+      ...group,
+      accuracy: group.total > 0 ? (group.correct / group.total) * 100 : 0,
+      unansweredRate: (group.unanswered / group.questions) * 100,
+      averageTimeMs: group.timeSpentMs / group.questions,
+      penalty,
+      netMarks: group.marks - penalty,
+      penaltyExceedsGain: penalty > group.marks,
+    };
+  });
+};
+
+export const TIME_BANDS = [
+  { label: 'Under 30s', maxMs: 30 * 1000 },
+  { label: '30s to 1 min', maxMs: 60 * 1000 },
+  { label: '1 to 2 min', maxMs: 120 * 1000 },
+  { label: 'Over 2 min', maxMs: Infinity },
+];
+
+const averageTime = (questions) => (questions.length > 0
+  ? questions.reduce((sum, q) => sum + (q.timeSpentMs || 0), 0) / questions.length
+  : 0);
+
+// Null for attempts recorded before per-question timing.
+export const timingSummary = (questions) => {
+  if (!questions.some(q => q.timeSpentMs !== undefined)) return null;
+  const answered = questions.filter(q => hasAnswer(scoredAnswer(q)));
+  const isRight = (q) => isCorrectAnswer(q, scoredAnswer(q));
+  const changed = questions.filter(q => q.answerChanges > 0);
+
+  return {
+    totalMs: questions.reduce((sum, q) => sum + (q.timeSpentMs || 0), 0),
+    averageMs: averageTime(questions),
+    correctAverageMs: averageTime(answered.filter(isRight)),
+    incorrectAverageMs: averageTime(answered.filter(q => answerCredit(q, scoredAnswer(q)) === 0)),
+    answerChanges: changed.reduce((sum, q) => sum + q.answerChanges, 0),
+    changedToCorrect: changed.filter(q => !isCorrectAnswer(q, q.initialAnswer) && isRight(q)).length,
+    changedToIncorrect: changed.filter(q => isCorrectAnswer(q, q.initialAnswer) && !isRight(q)).length,
+    // Accuracy against time spent, over answered questions
+    bands: TIME_BANDS.map((band, i) => {
+      const minMs = i > 0 ? TIME_BANDS[i - 1].maxMs : 0;
+      const inBand = answered.filter(q => (q.timeSpentMs || 0) >= minMs && (q.timeSpentMs || 0) < band.maxMs);
+      const correct = inBand.filter(isRight).length;
+      return { label: band.label, answered: inBand.length, correct, accuracy: inBand.length > 0 ? (correct / inBand.length) * 100 : null };
+    }),
+  };
+};
+
+// Up to `count` quickest and slowest answered questions, with their position in the
+// attempt. Short attempts are split in half so no question is in both lists.
+export const rankByTime = (questions, count = 5) => {
+  const timed = questions
+    .map((question, index) => ({ question, index }))
+    .filter(({ question }) => hasAnswer(scoredAnswer(question)) && question.timeSpentMs > 0)
+    .sort((a, b) => a.question.timeSpentMs - b.question.timeSpentMs);
+  const size = Math.min(count, Math.floor(timed.length / 2));
+  return { fastest: timed.slice(0, size), slowest: timed.slice(timed.length - size).reverse() };
+};
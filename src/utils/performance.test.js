@@ -0,0 +1,67 @@
+import { breakEvenAccuracy, groupStats, timingSummary, rankByTime } from './performance';
+
+const rules = { negativeMarkRatio: 0.25, passPercent: 60 };
+
+const q = (id, extra) => ({ id, question: `Q${id}`, options: ['A', 'B', 'C', 'D'], answer: 'A', category: 'Futures', subCategory: 'P1', ...extra });
+
+const questions = [
+  q(1, { userAnswer: 'A', timeSpentMs: 20000, answerChanges: 1, initialAnswer: 'B' }),
+  q(2, { userAnswer: 'B', timeSpentMs: 95000, answerChanges: 1, initialAnswer: 'A' }),
+  q(3, { userAnswer: null, timeSpentMs: 5000, answerChanges: 0 }),
+  q(4, { category: 'Greeks', subCategory: 'P2', userAnswer: 'B', timeSpentMs: 150000, answerChanges: 0 }),
+  q(5, { category: 'Greeks', subCategory: 'P2', userAnswer: 'C', timeSpentMs: 45000, answerChanges: 0 }),
+  q(6, { category: 'Greeks', subCategory: 'P1', userAnswer: 'A', timeSpentMs: 40000, answerChanges: 0 }),
+];
+
+test('breakEvenAccuracy is where a guess neither gains nor loses on average', () => {
+  expect(breakEvenAccuracy(0.25)).toBe(20);
+  expect(breakEvenAccuracy(0)).toBe(0);
+});
+
+describe('groupStats', () => {
+  test('counts every question, answered or not, per group', () => {
+    const [futures, greeks] = groupStats(questions, x => x.category, rules);
+    expect(futures).toMatchObject({
+      name: 'Futures', questions: 3, total: 2, correct: 1, incorrect: 1, unanswered: 1, timeSpentMs: 120000, answerChanges: 2, netMarks: 0.75, penaltyExceedsGain: false,
+    });
+    expect(futures.unansweredRate).toBeCloseTo(33.33, 2);
+    expect(futures.averageTimeMs).toBe(40000);
+    expect(greeks).toMatchObject({ name: 'Greeks', questions: 3, total: 3, correct: 1, incorrect: 2, penalty: 0.5, netMarks: 0.5 });
+  });
+
+  test('groups by paper just as well', () => {
+    expect(groupStats(questions, x => x.subCategory, rules).map(g => [g.name, g.questions])).toEqual([['P1', 4], ['P2', 2]]);
+  });
+
+  test('flags groups where wrong answers cost more than the right ones earned', () => {
+    const [greeks] = groupStats(questions.slice(3, 5), x => x.category, rules);
+    expect(greeks).toMatchObject({ marks: 0, penalty: 0.5, netMarks: -0.5, penaltyExceedsGain: true });
+    const [partlyRight] = groupStats([
+      q(7, { type: 'multi', scoring: 'partial', options: ['A', 'B', 'C', 'D'], answer: ['A', 'B', 'C', 'D'], userAnswer: ['A'] }),
+      q(8, { userAnswer: 'B' }),
+    ], x => x.category, rules);
+    expect(partlyRight).toMatchObject({ partial: 1, incorrect: 1, marks: 0.25, penalty: 0.25, penaltyExceedsGain: false });
+  });
+});
+
+describe('timingSummary', () => {
+  test('averages time on correct and wrong answers and sorts answer changes', () => {
+    const timing = timingSummary(questions);
+    expect(timing).toMatchObject({
+      totalMs: 355000, correctAverageMs: 30000, incorrectAverageMs: (95000 + 150000 + 45000) / 3, answerChanges: 2, changedToCorrect: 1, changedToIncorrect: 1,
+    });
+    expect(timing.bands.map(b => [b.answered, b.accuracy])).toEqual([[1, 100], [2, 50], [1, 0], [1, 0]]);
+  });
+
+  test('is null when the attempt has no timing', () => {
+    expect(timingSummary([q(1, { userAnswer: 'A' })])).toBeNull();
+  });
+});
+
+test('rankByTime lists answered questions only and never one in both lists', () => {
+  const { fastest, slowest } = rankByTime(questions, 2);
+  expect(fastest.map(r => r.question.id)).toEqual([1, 6]);
+  expect(slowest.map(r => [r.question.id, r.index])).toEqual([[4, 3], [2, 1]]);
+  const short = rankByTime(questions.slice(0, 3), 2);
+  expect([short.fastest.map(r => r.question.id), short.slowest.map(r => r.question.id)]).toEqual([[1], [2]]);
+});
@@ -0,0 +1,152 @@
+// --- Question editor: utils/questionEditor.js ---
+// Form state and bank edits behind the question bank editor. A draft is a question
+// whose numeric answer and tolerance are kept as typed text (answerText, toleranceText);
+// fromDraft turns it back into a question in the bank format.
+
+import { validateQuestions } from './validateQuestions';
+import { ASSERTION_REASON_OPTIONS, questionType, hasAnswer } from './questionTypes';
+import { normalizeText } from './mergeBanks';
+
+export const toDraft = (q) => ({
+  ...q,
+  type: questionType(q),
+  options: Array.isArray(q.options) ? [...q.options] : ['', '', '', ''],
+  answer: questionType(q) === 'numeric' ? '' : q.answer,
+  answerText: questionType(q) === 'numeric' ? String(q.answer ?? '') : '',
+  toleranceText: q.tolerance === undefined ? '' : String(q.tolerance),
+  explanation: q.explanation || '',
+});
+
+export const newDraft = (id, { category = '', subCategory = '' } = {}) =>
+  toDraft({ id, question: '', options: ['', '', '', ''], answer: '', category, subCategory });
+
+const withoutBlanks = (question, fields) => {
+  fields.forEach((field) => {
+    if (question[field] === undefined || question[field] === '') delete question[field];
+  });
+  return question;
+};
+
+// Only the fields the question's type uses are kept; single choice leaves `type` out,
+// as hand-written banks do.
+export const fromDraft = ({ answerText, toleranceText, ...draft }) => {
+  const question = { ...draft };
+  const type = draft.type;
+  if (type === 'single') delete question.type;
+  if (type === 'numeric') {
+    delete question.options;
+    question.answer = answerText.trim() === '' ? null : Number(answerText);
+    if (toleranceText.trim() === '') delete question.tolerance;
+    else question.tolerance = Number(toleranceText);
+  } else {
+    delete question.tolerance;
+    delete question.unit;
+  }
+  if (type !== 'multi') delete question.scoring;
+  if (type !== 'assertion-reason') {
+    delete question.assertion;
+    delete question.reason;
+  }
+  return withoutBlanks(question, ['explanation', 'unit', 'scoring']);
+};
+
+// Carries the answer over where it still makes sense for the new type.
+export const changeType = (draft, type) => {
+  const next = { ...draft, type };
+  if (type === 'multi') {
+    next.answer = [].concat(hasAnswer(draft.answer) ? draft.answer : []).filter(a => draft.options.includes(a));
+  } else if (Array.isArray(draft.answer)) {
+    next.answer = draft.answer[0] || '';
+  }
+  if (type === 'assertion-reason' && draft.options.every(o => o.trim() === '')) {
+    next.options = [...ASSERTION_REASON_OPTIONS];
+  }
+  return next;
+};
+
+// Renaming an option that is (part of) the answer renames it in the answer too.
+export const setOption = (draft, index, text) => {
+  const previous = draft.options[index];
+  const options = draft.options.map((o, i) => (i === index ? text : o));
+  const rename = (a) => (a === previous ? text : a);
+  return { ...draft, options, answer: Array.isArray(draft.answer) ? draft.answer.map(rename) : rename(draft.answer) };
+};
+
+export const removeOption = (draft, index) => {
+  const removed = draft.options[index];
+  const options = draft.options.filter((_, i) => i !== index);
+  const answer = Array.isArray(draft.answer)
+    ? draft.answer.filter(a => a !== removed)
+    : draft.answer === removed ? '' : draft.answer;
+  return { ...draft, options, answer };
+};
+
+// The bank format's checks, plus an id that no other question in any bank uses.
+export const validateDraft = (draft, otherIds) => {
+  const { issues } = validateQuestions([fromDraft(draft)]);
+  const id = String(draft.id ?? '').trim();
+  if (id !== '' && otherIds.has(id)) {
+    issues.unshift({ index: 0, field: 'id', severity: 'error', message: `Id "${id}" is already used by another question.` });
+  }
+  return issues;
+};
+
+// base, then base-2, base-3 ... whichever is free first.
+export const uniqueId = (base, takenIds) => {
+  if (!takenIds.has(base)) return base;
+  let n = 2;
+  while (takenIds.has(`${base}-${n}`)) n++;
+  return `${base}-${n}`;
+};
+
+export const searchQuestions = (questions, { search = '', category = '', subCategory = '' }) => {
+  const terms = normalizeText(search).split(' ').filter(Boolean);
+  return questions.filter((q) => {
+    if (category && q.category !== category) return false;
+    if (subCategory && q.subCategory !== subCategory) return false;
+    if (terms.length === 0) return true;
+    const text = normalizeText([q.id, q.question, q.assertion, q.reason, ...(q.options || []), q.explanation, q.caseTitle].join(' '));
+    return terms.every(term => text.includes(term));
+  });
+};
+
+// Bank edits. Questions are matched by id within the bank; ids are unique per bank
+// because validateQuestions refuses duplicates on import.
+
+const sameId = (q, id) => String(q.id) === String(id);
+
+// Replaces a question, or appends it when originalId is null. A case passage is shared,
+// so a new passage or case title is copied to the other questions of the case.
+export const saveToBank = (bank, originalId, question) => {
+  const questions = originalId === null
+    ? [...bank.questions, question]
+    : bank.questions.map(q => (sameId(q, originalId) ? question : q));
+  return {
+    ...bank,
+    questions: question.caseId
+      ? questions.map(q => (q.caseId === question.caseId && q !== question ? { ...q, passage: question.passage, caseTitle: question.caseTitle } : q))
+      : questions,
+  };
+};
+
+// The copy goes right after the original. Its text is marked as a copy, then (copy 2),
+// (copy 3) ... for later ones, otherwise mergeBanks would drop it from the library as a
+// duplicate of the original or of an earlier copy.
+export const duplicateInBank = (bank, questionId, newId) => {
+  const index = bank.questions.findIndex(q => sameId(q, questionId));
+  const original = bank.questions[index];
+  const base = original.question.replace(/ \(copy(?: \d+)?\)$/, '');
+  const takenTexts = new Set(bank.questions.map(q => normalizeText(q.question)));
+  let text = `${base} (copy)`;
+  for (let n = 2; takenTexts.has(normalizeText(text)); n++) text = `${base} (copy ${n})`;
+  const copy = { ...original, id: newId, question: text };
+  return { ...bank, questions: [...bank.questions.slice(0, index + 1), copy, ...bank.questions.slice(index + 1)] };
+};
+
+export const deleteFromBank = (bank, questionId) => ({ ...bank, questions: bank.questions.filter(q => !sameId(q, questionId)) });
+
+// changes: { category?, subCategory? }; blank values leave that field alone.
+export const recategorizeInBank = (bank, ids, changes) => {
+  const update = withoutBlanks({ ...changes }, ['category', 'subCategory']);
+  return { ...bank, questions: bank.questions.map(q => (ids.has(String(q.id)) ? { ...q, ...update } : q)) };
+};
@@ -0,0 +1,100 @@
+import {
+  toDraft, newDraft, fromDraft, changeType, setOption, removeOption, validateDraft, uniqueId, searchQuestions, saveToBank, duplicateInBank, deleteFromBank, recategorizeInBank,
+} from './questionEditor';
+import { ASSERTION_REASON_OPTIONS } from './questionTypes';
+import { mergeBanks } from './mergeBanks';
+
+const single = { id: 1, question: 'Which is a derivative?', options: ['Futures', 'Equity share'], answer: 'Futures', category: 'Basics', subCategory: 'P1', explanation: 'Value derives from an underlying.' };
+const numeric = { id: 'n1', type: 'numeric', question: 'Lot value?', answer: 1040, tolerance: 0.5, unit: '₹', category: 'Futures', subCategory: 'P1' };
+const bank = { id: 'bank-1', name: 'Bank', questions: [single, numeric] };
+
+describe('drafts', () => {
+  test('round-trip questions of every type unchanged', () => {
+    const multi = { ...single, id: 2, type: 'multi', options: ['A', 'B', 'C'], answer: ['A', 'C'], scoring: 'partial' };
+    const ar = { ...single, id: 3, type: 'assertion-reason', assertion: 'A', reason: 'R', options: ASSERTION_REASON_OPTIONS, answer: ASSERTION_REASON_OPTIONS[1] };
+    [single, numeric, multi, ar].forEach(q => expect(fromDraft(toDraft(q))).toEqual(q));
+  });
+
+  test('keep numeric input as text until saved', () => {
+    const draft = { ...toDraft(numeric), answerText: '1,040', toleranceText: '' };
+    expect(fromDraft(draft)).toMatchObject({ answer: NaN });
+    expect(fromDraft(draft)).not.toHaveProperty('tolerance');
+    expect(fromDraft({ ...draft, answerText: '' }).answer).toBeNull();
+  });
+
+  test('drop fields the new type does not use', () => {
+    const asNumeric = changeType(toDraft(single), 'numeric');
+    expect(fromDraft({ ...asNumeric, answerText: '5' })).toEqual({ id: 1, type: 'numeric', question: single.question, answer: 5, category: 'Basics', subCategory: 'P1', explanation: single.explanation });
+  });
+
+  test('carry the answer across type changes', () => {
+    const multi = changeType(toDraft(single), 'multi');
+    expect(multi.answer).toEqual(['Futures']);
+    expect(changeType(multi, 'single').answer).toBe('Futures');
+    expect(changeType(newDraft('x'), 'assertion-reason').options).toEqual(ASSERTION_REASON_OPTIONS);
+  });
+
+  test('renaming or removing the correct option updates the answer', () => {
+    const draft = toDraft(single);
+    expect(setOption(draft, 0, 'Futures contract').answer).toBe('Futures contract');
+    expect(setOption(draft, 1, 'Bond').answer).toBe('Futures');
+    expect(removeOption(draft, 0)).toMatchObject({ options: ['Equity share'], answer: '' });
+    const multi = changeType(draft, 'multi');
+    expect(removeOption(multi, 0).answer).toEqual([]);
+  });
+});
+
+describe('validateDraft', () => {
+  test('requires the answer to be one of the options', () => {
+    const issues = validateDraft({ ...toDraft(single), answer: 'Options' }, new Set());
+    expect(issues.map(i => i.field)).toEqual(['answer']);
+  });
+
+  test('requires an id no other question uses', () => {
+    const issues = validateDraft(toDraft(single), new Set(['1', 'n1']));
+    expect(issues[0]).toMatchObject({ field: 'id', severity: 'error', message: 'Id "1" is already used by another question.' });
+    expect(validateDraft(toDraft(single), new Set(['n1']))).toEqual([]);
+  });
+});
+
+test('uniqueId picks the first free suffix', () => {
+  expect(uniqueId('q-3', new Set(['q-1']))).toBe('q-3');
+  expect(uniqueId('1-copy', new Set(['1-copy', '1-copy-2']))).toBe('1-copy-3');
+});
+
+test('searchQuestions matches every term anywhere and applies the filters', () => {
+  expect(searchQuestions(bank.questions, { search: 'derivative underlying' })).toEqual([single]);
+  expect(searchQuestions(bank.questions, { search: 'equity' })).toEqual([single]);
+  expect(searchQuestions(bank.questions, { search: 'n1' })).toEqual([numeric]);
+  expect(searchQuestions(bank.questions, { category: 'Futures' })).toEqual([numeric]);
+  expect(searchQuestions(bank.questions, { subCategory: 'P1', search: 'lot' })).toEqual([numeric]);
+});
+
+describe('bank edits', () => {
+  test('saveToBank replaces by id or appends a new question', () => {
+    const fixed = { ...single, answer: 'Futures', question: 'Which one is a derivative?' };
+    expect(saveToBank(bank, '1', fixed).questions).toEqual([fixed, numeric]);
+    expect(saveToBank(bank, null, { ...single, id: 'q-3' }).questions.map(q => q.id)).toEqual([1, 'n1', 'q-3']);
+  });
+
+  test('saveToBank copies a changed passage to the rest of the case', () => {
+    const caseBank = { ...bank, questions: [{ ...single, caseId: 'c', passage: 'Old', caseTitle: 'T' }, { ...numeric, caseId: 'c', passage: 'Old', caseTitle: 'T' }] };
+    const saved = saveToBank(caseBank, '1', { ...caseBank.questions[0], passage: 'New' });
+    expect(saved.questions.map(q => q.passage)).toEqual(['New', 'New']);
+  });
+
+  test('duplicate, delete and re-categorise', () => {
+    const duplicated = duplicateInBank(bank, 1, '1-copy');
+    expect(duplicated.questions.map(q => q.id)).toEqual([1, '1-copy', 'n1']);
+    expect(duplicated.questions[1]).toEqual({ ...single, id: '1-copy', question: 'Which is a derivative? (copy)' });
+    // Later copies, including copies of a copy, are numbered so none is merged away as a duplicate
+    const thrice = duplicateInBank(duplicateInBank(duplicated, 1, '1-copy-2'), '1-copy', '1-copy-3');
+    expect(thrice.questions.map(q => q.question)).toEqual([
+      'Which is a derivative?', 'Which is a derivative? (copy 2)', 'Which is a derivative? (copy)', 'Which is a derivative? (copy 3)', 'Lot value?',
+    ]);
+    expect(mergeBanks([{ ...thrice, enabled: true }]).questions).toHaveLength(5);
+    expect(deleteFromBank(bank, 'n1').questions).toEqual([single]);
+    const moved = recategorizeInBank(bank, new Set(['1', 'n1']), { category: 'Derivatives', subCategory: '' });
+    expect(moved.questions.map(q => [q.category, q.subCategory])).toEqual([['Derivatives', 'P1'], ['Derivatives', 'P1']]);
+  });
+});
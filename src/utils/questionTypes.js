@@ -0,0 +1,120 @@
+// --- Question types: utils/questionTypes.js ---
+// A question's `type` decides how it is answered and graded. Questions without one
+// are single-choice, so existing banks keep working unchanged.
+//
+//   single            answer: one of options
+//   multi             answer: array of options; scoring: 'all-or-nothing' (default) or 'partial'
+//   numeric           answer: number; tolerance: allowed difference either side (default 0); unit: optional label
+//   assertion-reason  assertion and reason texts; options default to ASSERTION_REASON_OPTIONS
+//
+// Case-based groups are bank records { type: 'case', id, title, passage, questions: [...] }.
+// expandQuestionRecords flattens them into their questions, each carrying caseId,
+// caseTitle, passage and casePosition, so the rest of the app only ever sees plain questions.
+
+export const QUESTION_TYPES = ['single', 'multi', 'numeric', 'assertion-reason'];
+
+export const MULTI_SCORING = ['all-or-nothing', 'partial'];
+
+export const ASSERTION_REASON_OPTIONS = [
+  'Both A and R are true, and R is the correct explanation of A',
+  'Both A and R are true, but R is not the correct explanation of A',
+  'A is true, but R is false',
+  'A is false, but R is true',
+];
+
+export const questionType = (q) => q.type || 'single';
+
+// Single-choice style questions are answered with one click; the others are composed first.
+export const isChoiceType = (q) => ['single', 'assertion-reason'].includes(questionType(q));
+
+const expandRecord = (record) => {
+  if (!record || typeof record !== 'object' || record.type !== 'assertion-reason') return record;
+  return {
+    ...record,
+    question: record.question || 'Read the Assertion (A) and the Reason (R) and choose the correct option.',
+    options: Array.isArray(record.options) && record.options.length > 0 ? record.options : ASSERTION_REASON_OPTIONS,
+  };
+};
+
+// Run on every imported file before validation.
+export const expandQuestionRecords = (records) => {
+  if (!Array.isArray(records)) return records;
+  return records.flatMap((record) => {
+    if (!record || record.type !== 'case') return [expandRecord(record)];
+    const { id, title, passage, category, subCategory, questions = [] } = record;
+    return questions.map((q, position) => expandRecord({
+      category,
+      subCategory,
+      ...q,
+      caseId: String(id),
+      caseTitle: title || '',
+      casePosition: position,
+      passage,
+    }));
+  });
+};
+
+// Keeps the questions of a case together and in their written order, where the
+// first of them was drawn.
+export const groupCases = (questions) => {
+  const cases = new Map();
+  questions.forEach((q) => {
+    const key = q.caseId ? `case:${q.caseId}` : `question:${q.id}`;
+    if (!cases.has(key)) cases.set(key, []);
+    cases.get(key).push(q);
+  });
+  return [...cases.values()].flatMap(group => [...group].sort((a, b) => (a.casePosition || 0) - (b.casePosition || 0)));
+};
+
+export const hasAnswer = (answer) =>
+  answer !== null && answer !== undefined && answer !== '' && !(Array.isArray(answer) && answer.length === 0);
+
+// Practice questions can be answered several times; only the first try counts towards the score.
+export const scoredAnswer = (q) => (q.attempts?.length ? q.attempts[0] : q.userAnswer);
+
+// Share of the marks an answer earns, from 0 to 1. Partial multi-select scoring gives
+// credit per correct option picked, but nothing if any wrong option is picked too.
+export const answerCredit = (q, answer) => {
+  if (!hasAnswer(answer)) return 0;
+  switch (questionType(q)) {
+    case 'multi': {
+      const picked = Array.isArray(answer) ? answer : [answer];
+      const hits = picked.filter(option => q.answer.includes(option)).length;
+      const misses = picked.length - hits;
+      if (misses > 0) return 0;
+      if (q.scoring === 'partial') return hits / q.answer.length;
+      return hits === q.answer.length ? 1 : 0;
+    }
+    case 'numeric': {
+      const value = Number(answer);
+      if (!Number.isFinite(value)) return 0;
+      // A little slack so 0.1 + 0.2 style rounding never marks a right answer wrong
+      return Math.abs(value - Number(q.answer)) <= (Number(q.tolerance) || 0) + 1e-9 ? 1 : 0;
+    }
+    default:
+      return answer === q.answer ? 1 : 0;
+  }
+};
+
+export const isCorrectAnswer = (q, answer) => answerCredit(q, answer) === 1;
+
+// Adds or removes an option from a multi-select answer, keeping the options' order.
+export const toggleOption = (q, answer, option) => {
+  const picked = new Set(Array.isArray(answer) ? answer : []);
+  if (picked.has(option)) picked.delete(option);
+  else picked.add(option);
+  return q.options.filter(o => picked.has(o));
+};
+
+export const formatAnswer = (q, answer) => {
+  if (!hasAnswer(answer)) return null;
+  if (Array.isArray(answer)) return answer.join('; ');
+  if (questionType(q) === 'numeric') return q.unit ? `${answer} ${q.unit}` : String(answer);
+  return String(answer);
+};
+
+export const formatCorrectAnswer = (q) => {
+  if (questionType(q) !== 'numeric') return formatAnswer(q, q.answer);
+  const tolerance = Number(q.tolerance) || 0;
+  return `${formatAnswer(q, q.answer)}${tolerance > 0 ? ` (±${tolerance} accepted)` : ''}`;
+};
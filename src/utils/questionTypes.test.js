@@ -0,0 +1,128 @@
+import {
+  ASSERTION_REASON_OPTIONS, expandQuestionRecords, groupCases, hasAnswer, answerCredit, isCorrectAnswer, toggleOption, formatAnswer, formatCorrectAnswer,
+} from './questionTypes';
+import { validateQuestions } from './validateQuestions';
+
+const single = { id: 's', question: 'Q', options: ['A', 'B', 'C'], answer: 'B', category: 'C', subCategory: 'P' };
+const multi = { ...single, id: 'm', type: 'multi', options: ['A', 'B', 'C', 'D'], answer: ['A', 'C'] };
+const numeric = { id: 'n', type: 'numeric', question: 'Q', answer: 1040, tolerance: 0.5, unit: '₹', category: 'C', subCategory: 'P' };
+
+describe('answerCredit', () => {
+  test('single choice needs the exact option', () => {
+    expect(answerCredit(single, 'B')).toBe(1);
+    expect(answerCredit(single, 'A')).toBe(0);
+    expect(answerCredit(single, null)).toBe(0);
+  });
+
+  test('multi-select is all-or-nothing by default', () => {
+    expect(answerCredit(multi, ['A', 'C'])).toBe(1);
+    expect(answerCredit(multi, ['C', 'A'])).toBe(1);
+    expect(answerCredit(multi, ['A'])).toBe(0);
+    expect(answerCredit(multi, ['A', 'B', 'C'])).toBe(0);
+  });
+
+  test('partial multi-select scoring credits each correct option but nothing with a wrong one', () => {
+    const partial = { ...multi, scoring: 'partial' };
+    expect(answerCredit(partial, ['A'])).toBe(0.5);
+    expect(answerCredit(partial, ['A', 'C'])).toBe(1);
+    expect(answerCredit(partial, ['A', 'B'])).toBe(0);
+    expect(isCorrectAnswer(partial, ['A'])).toBe(false);
+  });
+
+  test('numeric answers are accepted within the tolerance', () => {
+    expect(answerCredit(numeric, '1040')).toBe(1);
+    expect(answerCredit(numeric, '1040.5')).toBe(1);
+    expect(answerCredit(numeric, 1039.6)).toBe(1);
+    expect(answerCredit(numeric, '1041')).toBe(0);
+    expect(answerCredit(numeric, 'abc')).toBe(0);
+    expect(answerCredit({ ...numeric, answer: 0.3, tolerance: undefined }, 0.1 + 0.2)).toBe(1);
+  });
+});
+
+test('hasAnswer treats empty strings and empty selections as unanswered', () => {
+  expect(hasAnswer('')).toBe(false);
+  expect(hasAnswer([])).toBe(false);
+  expect(hasAnswer(null)).toBe(false);
+  expect(hasAnswer(0)).toBe(true);
+  expect(hasAnswer(['A'])).toBe(true);
+});
+
+test('toggleOption keeps the options in their listed order', () => {
+  expect(toggleOption(multi, ['C'], 'A')).toEqual(['A', 'C']);
+  expect(toggleOption(multi, ['A', 'C'], 'A')).toEqual(['C']);
+  expect(toggleOption(multi, null, 'D')).toEqual(['D']);
+});
+
+test('formatAnswer and formatCorrectAnswer describe every type', () => {
+  expect(formatAnswer(multi, ['A', 'C'])).toBe('A; C');
+  expect(formatAnswer(numeric, '1040')).toBe('1040 ₹');
+  expect(formatAnswer(single, null)).toBeNull();
+  expect(formatCorrectAnswer(numeric)).toBe('1040 ₹ (±0.5 accepted)');
+  expect(formatCorrectAnswer(multi)).toBe('A; C');
+});
+
+describe('expandQuestionRecords', () => {
+  test('flattens case groups and hands the passage and defaults to each question', () => {
+    const [first, second, after] = expandQuestionRecords([
+      {
+        type: 'case', id: 7, title: 'Hedging', passage: 'Meera holds...', category: 'Futures', subCategory: 'P',
+        questions: [{ id: 'c1', question: 'Q1', options: ['A', 'B'], answer: 'A' }, { id: 'c2', type: 'numeric', question: 'Q2', answer: 2, category: 'Options' }],
+      },
+      single,
+    ]);
+    expect(first).toMatchObject({ id: 'c1', caseId: '7', caseTitle: 'Hedging', casePosition: 0, passage: 'Meera holds...', category: 'Futures', subCategory: 'P' });
+    expect(second).toMatchObject({ id: 'c2', caseId: '7', casePosition: 1, category: 'Options' });
+    expect(after).toBe(single);
+  });
+
+  test('gives assertion-reason questions the standard options and prompt', () => {
+    const [q] = expandQuestionRecords([{ id: 'ar', type: 'assertion-reason', assertion: 'A', reason: 'R', answer: ASSERTION_REASON_OPTIONS[2] }]);
+    expect(q.options).toEqual(ASSERTION_REASON_OPTIONS);
+    expect(q.question).toMatch(/Assertion/);
+  });
+});
+
+test('groupCases moves the questions of a case next to the first one drawn, in written order', () => {
+  const ids = groupCases([
+    { id: 1, caseId: 'x', casePosition: 1 }, { id: 2 }, { id: 3, caseId: 'y', casePosition: 0 }, { id: 4, caseId: 'x', casePosition: 0 }, { id: 5, caseId: 'y', casePosition: 1 },
+  ]).map(q => q.id);
+  expect(ids).toEqual([4, 1, 2, 3, 5]);
+});
+
+describe('validateQuestions with question types', () => {
+  const errorsFor = (record) => validateQuestions([record]).issues.filter(i => i.severity === 'error').map(i => i.field);
+
+  test('accepts well-formed questions of every type', () => {
+    const [ar] = expandQuestionRecords([{ ...single, id: 'ar', type: 'assertion-reason', assertion: 'A', reason: 'R', options: undefined, answer: ASSERTION_REASON_OPTIONS[0] }]);
+    expect(validateQuestions([single, multi, numeric, ar]).summary.errorCount).toBe(0);
+  });
+
+  test('reports what is wrong with each type', () => {
+    expect(errorsFor({ ...single, type: 'essay' })).toEqual(['type']);
+    expect(errorsFor({ ...multi, answer: 'A' })).toEqual(['answer']);
+    expect(errorsFor({ ...multi, answer: ['A', 'E'] })).toEqual(['answer']);
+    expect(errorsFor({ ...multi, scoring: 'half' })).toEqual(['scoring']);
+    expect(errorsFor({ ...numeric, answer: '1040' })).toEqual(['answer']);
+    expect(errorsFor({ ...numeric, tolerance: -1 })).toEqual(['tolerance']);
+    expect(errorsFor({ ...single, type: 'assertion-reason' })).toEqual(['assertion', 'reason']);
+    expect(errorsFor({ ...single, caseId: 'x' })).toEqual(['passage']);
+  });
+
+  test('points issues in a case at the record in the file and the question in the case', () => {
+    const caseRecord = (id, questions) => ({ type: 'case', id, passage: 'P', category: 'C', subCategory: 'P', questions });
+    const { issues, valid, summary } = validateQuestions([
+      caseRecord('x', [{ ...single, id: 'x1' }, { ...single, id: 'x2' }]),
+      single,
+      caseRecord('y', [{ ...single, id: 'y1' }, { ...single, id: 'y2', answer: 'E' }]),
+      { ...multi, id: 'after', answer: 'Z' },
+      caseRecord('z', []),
+    ]);
+    expect(issues.filter(i => i.severity === 'error').map(({ index, position, field }) => ({ index, position, field }))).toEqual([
+      { index: 2, position: 1, field: 'answer' },
+      { index: 3, position: undefined, field: 'answer' },
+      { index: 4, position: undefined, field: 'questions' },
+    ]);
+    expect(valid.map(q => q.id)).toEqual(['x1', 'x2', 's', 'y1']);
+    expect(summary).toMatchObject({ total: 6, validCount: 4 });
+  });
+});
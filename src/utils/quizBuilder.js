@@ -0,0 +1,70 @@
+// --- Custom quizzes: utils/quizBuilder.js ---
+// A custom quiz draws a chosen number of questions from each of several subjects and
+// papers, optionally narrowed by the trainee's history with each question.
+//
+//   topics             [{ kind: 'subject' | 'paper', name, count }]
+//   history            'any', 'unseen' (never answered) or 'wrong' (missed at least once)
+//   excludeMastered    leaves out questions answered correctly three times running
+//   durationMinutes    null for the usual 1.2 minutes per question
+//   negativeMarkRatio  share of a mark taken off per wrong answer
+
+import { DEFAULT_RULES } from './examProfiles';
+import { isMastered } from './spacedRepetition';
+import { createRandom, shuffle } from './seededRandom';
+
+export const HISTORY_FILTERS = [
+  { id: 'any', label: 'Any question' },
+  { id: 'unseen', label: "Only questions I haven't answered yet" },
+  { id: 'wrong', label: "Only questions I've got wrong before" },
+];
+
+export const DEFAULT_CUSTOM_QUIZ = {
+  topics: [],
+  history: 'any',
+  excludeMastered: false,
+  durationMinutes: null,
+  negativeMarkRatio: DEFAULT_RULES.negativeMarkRatio,
+};
+
+// The settings a preset keeps; the seed and practice mode are chosen per quiz.
+export const presetSettings = ({ topics, history, excludeMastered, durationMinutes, negativeMarkRatio }) =>
+  ({ topics, history, excludeMastered, durationMinutes, negativeMarkRatio });
+
+export const totalCount = (topics) => topics.reduce((sum, t) => sum + t.count, 0);
+
+const inTopic = (q, topic) => (topic.kind === 'paper' ? q.subCategory === topic.name : q.category === topic.name);
+
+// memory holds the spaced-repetition card per question id; a question has one once answered.
+export const filterByHistory = (questions, memory, { history = 'any', excludeMastered = false }) =>
+  questions.filter((q) => {
+    const card = memory[q.id];
+    if (history === 'unseen' && card) return false;
+    if (history === 'wrong' && !(card && card.lapses > 0)) return false;
+    return !(excludeMastered && isMastered(card));
+  });
+
+// Every question at least one of the chosen topics can draw from.
+export const customQuizPool = (questions, memory, settings) =>
+  filterByHistory(questions, memory, settings).filter(q => settings.topics.some(t => inTopic(q, t)));
+
+export const availableInTopic = (questions, memory, settings, topic) =>
+  filterByHistory(questions, memory, settings).filter(q => inTopic(q, topic)).length;
+
+// Topics are drawn in the order they were chosen. A question that is in both a chosen
+// subject and a chosen paper goes to whichever draws it first, so it never appears twice;
+// topics left short are reported as shortfalls, as buildExamPaper does.
+export const buildCustomQuiz = (questions, memory, settings, seed) => {
+  const random = createRandom(seed);
+  const eligible = filterByHistory(questions, memory, settings);
+  const pickedIds = new Set();
+  const picked = [];
+  const shortfalls = [];
+  settings.topics.forEach((topic) => {
+    const available = shuffle(eligible.filter(q => inTopic(q, topic) && !pickedIds.has(q.id)), random);
+    const drawn = available.slice(0, topic.count);
+    drawn.forEach(q => pickedIds.add(q.id));
+    picked.push(...drawn);
+    if (drawn.length < topic.count) shortfalls.push({ ...topic, available: drawn.length });
+  });
+  return { questions: shuffle(picked, random), shortfalls };
+};
@@ -0,0 +1,65 @@
+import { filterByHistory, customQuizPool, availableInTopic, buildCustomQuiz, presetSettings, DEFAULT_CUSTOM_QUIZ } from './quizBuilder';
+
+const q = (id, category, subCategory) => ({ id, question: `Q${id}`, options: ['A', 'B'], answer: 'A', category, subCategory });
+
+const questions = [
+  q(1, 'Futures', 'P1'), q(2, 'Futures', 'P1'), q(3, 'Futures', 'P2'), q(4, 'Futures', 'P2'),
+  q(5, 'Options', 'P1'), q(6, 'Options', 'P2'), q(7, 'Options', 'P2'), q(8, 'Greeks', 'P3'),
+];
+
+// 1 never missed, 2 missed once, 3 mastered after an early miss; the rest unseen
+const memory = {
+  1: { repetitions: 1, lapses: 0 },
+  2: { repetitions: 0, lapses: 1 },
+  3: { repetitions: 3, lapses: 1 },
+};
+
+const settings = (changes) => ({ ...DEFAULT_CUSTOM_QUIZ, ...changes });
+const ids = (list) => list.map(x => x.id).sort((a, b) => a - b);
+
+describe('filterByHistory', () => {
+  test('keeps unseen or previously missed questions', () => {
+    expect(ids(filterByHistory(questions, memory, settings({ history: 'unseen' })))).toEqual([4, 5, 6, 7, 8]);
+    expect(ids(filterByHistory(questions, memory, settings({ history: 'wrong' })))).toEqual([2, 3]);
+  });
+
+  test('leaves out mastered questions, on its own or with another filter', () => {
+    expect(ids(filterByHistory(questions, memory, settings({ excludeMastered: true })))).not.toContain(3);
+    expect(ids(filterByHistory(questions, memory, settings({ history: 'wrong', excludeMastered: true })))).toEqual([2]);
+  });
+});
+
+test('the pool and topic counts follow the chosen subjects and papers', () => {
+  const topics = [{ kind: 'subject', name: 'Options', count: 2 }, { kind: 'paper', name: 'P1', count: 2 }];
+  expect(ids(customQuizPool(questions, {}, settings({ topics })))).toEqual([1, 2, 5, 6, 7]);
+  expect(availableInTopic(questions, memory, settings({ history: 'unseen' }), { kind: 'paper', name: 'P2' })).toBe(3);
+});
+
+describe('buildCustomQuiz', () => {
+  test('draws the chosen number from each topic without asking a question twice', () => {
+    const topics = [{ kind: 'subject', name: 'Options', count: 3 }, { kind: 'paper', name: 'P1', count: 2 }];
+    const { questions: drawn, shortfalls } = buildCustomQuiz(questions, {}, settings({ topics }), 99);
+    // Question 5 is both an Options question and a P1 question, and Options takes it
+    expect(ids(drawn)).toEqual([1, 2, 5, 6, 7]);
+    expect(shortfalls).toEqual([]);
+  });
+
+  test('regenerates exactly from the seed', () => {
+    const topics = [{ kind: 'subject', name: 'Futures', count: 2 }, { kind: 'subject', name: 'Options', count: 2 }];
+    const first = buildCustomQuiz(questions, {}, settings({ topics }), 12345).questions;
+    expect(buildCustomQuiz(questions, {}, settings({ topics }), 12345).questions).toEqual(first);
+    const others = [1, 2, 3, 4, 5].map(seed => ids(buildCustomQuiz(questions, {}, settings({ topics }), seed).questions).join());
+    expect(new Set(others).size).toBeGreaterThan(1);
+  });
+
+  test('reports topics that have fewer questions than asked for', () => {
+    const topics = [{ kind: 'subject', name: 'Greeks', count: 3 }];
+    const { questions: drawn, shortfalls } = buildCustomQuiz(questions, {}, settings({ topics }), 1);
+    expect(ids(drawn)).toEqual([8]);
+    expect(shortfalls).toEqual([{ kind: 'subject', name: 'Greeks', count: 3, available: 1 }]);
+  });
+});
+
+test('presets keep the settings but not the seed or practice mode', () => {
+  expect(presetSettings({ ...DEFAULT_CUSTOM_QUIZ, seed: 5, practice: true, type: 'custom' })).toEqual(DEFAULT_CUSTOM_QUIZ);
+});
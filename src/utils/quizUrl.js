@@ -0,0 +1,72 @@
+// --- Quiz links: utils/quizUrl.js ---
+// A quiz setup lives in the /quiz query string (?type=paper&value=...&count=50&seed=...),
+// so a link or a reload describes the same quiz as the Start button did. With its seed,
+// a link draws exactly the same questions from the same banks.
+//
+// Custom quizzes add one topic=kind:count:name per subject or paper, and history,
+// mastered, duration and negative for the rest of the builder's settings.
+
+import { parseSeed } from './seededRandom';
+import { HISTORY_FILTERS, DEFAULT_CUSTOM_QUIZ, totalCount } from './quizBuilder';
+
+const QUIZ_TYPES = ['all', 'subject', 'paper', 'review', 'exam', 'custom'];
+
+export const configToSearch = (config) => {
+  const params = new URLSearchParams({ type: config.type });
+  if (config.value !== null && config.value !== undefined) params.set('value', config.value);
+  if (config.count) params.set('count', String(config.count));
+  if (config.practice) params.set('practice', '1');
+  if (config.seed !== undefined) params.set('seed', String(config.seed));
+  if (config.type === 'custom') {
+    config.topics.forEach(t => params.append('topic', `${t.kind}:${t.count}:${t.name}`));
+    if (config.history !== 'any') params.set('history', config.history);
+    if (config.excludeMastered) params.set('mastered', 'exclude');
+    if (config.durationMinutes) params.set('duration', String(config.durationMinutes));
+    params.set('negative', String(config.negativeMarkRatio));
+  }
+  return `?${params.toString()}`;
+};
+
+const parseTopics = (params) => params.getAll('topic').flatMap((text) => {
+  const match = /^(subject|paper):(\d+):(.+)$/.exec(text);
+  const count = match ? parseInt(match[2], 10) : 0;
+  return count > 0 ? [{ kind: match[1], name: match[3], count }] : [];
+});
+
+const customSettings = (params) => {
+  const topics = parseTopics(params);
+  if (topics.length === 0) return null;
+  const history = params.get('history');
+  const duration = parseInt(params.get('duration'), 10);
+  const negative = Number(params.get('negative') ?? NaN);
+  return {
+    topics,
+    count: totalCount(topics),
+    history: HISTORY_FILTERS.some(f => f.id === history) ? history : 'any',
+    excludeMastered: params.get('mastered') === 'exclude',
+    durationMinutes: duration > 0 ? duration : null,
+    negativeMarkRatio: negative >= 0 && negative <= 1 ? negative : DEFAULT_CUSTOM_QUIZ.negativeMarkRatio,
+  };
+};
+
+// Returns null for a missing or unusable setup rather than guessing one.
+export const configFromSearch = (search) => {
+  const params = new URLSearchParams(search);
+  const type = params.get('type');
+  if (!QUIZ_TYPES.includes(type)) return null;
+
+  const value = params.get('value');
+  if ((type === 'subject' || type === 'paper' || type === 'exam') && !value) return null;
+
+  const count = parseInt(params.get('count'), 10);
+  let config = { type, value: value || null, count: count > 0 ? count : 10 };
+  if (type === 'custom') {
+    const settings = customSettings(params);
+    if (!settings) return null;
+    config = { ...config, ...settings };
+  }
+  if (params.get('practice') === '1' && type !== 'exam') config.practice = true;
+  const seed = parseSeed(params.get('seed'));
+  if (seed !== null && type !== 'review') config.seed = seed;
+  return config;
+};
@@ -0,0 +1,52 @@
+import { configToSearch, configFromSearch } from './quizUrl';
+
+test('every quiz type survives the round trip through its link', () => {
+  [
+    { type: 'all', value: null, count: 25 },
+    { type: 'subject', value: 'Options & Futures: basics', count: 10 },
+    { type: 'paper', value: 'Paper 2', count: 50, practice: true },
+    { type: 'review', value: null, count: 5 },
+    { type: 'exam', value: 'full-length-mock', count: 100 },
+  ].forEach(config => expect(configFromSearch(configToSearch(config))).toEqual(config));
+  expect(configToSearch({ type: 'subject', value: 'Options & Futures', count: 10 })).toBe('?type=subject&value=Options+%26+Futures&count=10');
+});
+
+test('unusable links give no quiz, and odd values fall back to the defaults', () => {
+  expect(configFromSearch('')).toBeNull();
+  expect(configFromSearch('?type=everything&count=5')).toBeNull();
+  expect(configFromSearch('?type=subject&count=5')).toBeNull();
+  expect(configFromSearch('?type=paper&value=')).toBeNull();
+  expect(configFromSearch('?type=exam')).toBeNull();
+  expect(configFromSearch('?type=all&count=-3')).toEqual({ type: 'all', value: null, count: 10 });
+  expect(configFromSearch('?type=all&count=lots&practice=yes')).toEqual({ type: 'all', value: null, count: 10 });
+  expect(configFromSearch('?type=exam&value=full-length-mock&practice=1')).toEqual({ type: 'exam', value: 'full-length-mock', count: 10 });
+});
+
+test('a custom quiz survives the round trip through its link', () => {
+  const config = {
+    type: 'custom',
+    value: 'Weak spots',
+    count: 7,
+    topics: [{ kind: 'subject', name: 'Options: Greeks & more', count: 4 }, { kind: 'paper', name: 'Paper 1', count: 3 }],
+    history: 'wrong',
+    excludeMastered: true,
+    durationMinutes: 15,
+    negativeMarkRatio: 0.5,
+    practice: true,
+    seed: 4000000000,
+  };
+  expect(configFromSearch(configToSearch(config))).toEqual(config);
+});
+
+test('custom links fill in defaults and skip broken topics', () => {
+  expect(configFromSearch('?type=custom&topic=subject:2:Futures&topic=paper:0:P1&topic=nonsense&history=everything&negative=3')).toEqual({
+    type: 'custom', value: null, count: 2, topics: [{ kind: 'subject', name: 'Futures', count: 2 }], history: 'any', excludeMastered: false, durationMinutes: null, negativeMarkRatio: 0.25,
+  });
+  expect(configFromSearch('?type=custom&count=5')).toBeNull();
+});
+
+test('the seed is kept for drawn quizzes, but not for due reviews', () => {
+  expect(configFromSearch('?type=subject&value=Futures&count=5&seed=77')).toEqual({ type: 'subject', value: 'Futures', count: 5, seed: 77 });
+  expect(configFromSearch('?type=review&count=5&seed=77')).toEqual({ type: 'review', value: null, count: 5 });
+  expect(configFromSearch('?type=all&seed=abc')).toEqual({ type: 'all', value: null, count: 10 });
+});
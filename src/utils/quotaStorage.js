@@ -0,0 +1,38 @@
+// --- Storage quota: utils/quotaStorage.js ---
+// localStorage holds a few megabytes per site and throws once it is full. Left alone,
+// that error would surface from whichever store action happened to save last (often
+// submitting a test) and nothing would be saved from then on.
+
+// Chrome and Safari name the error QuotaExceededError; older Firefox used its own name.
+export const isQuotaError = (err) => Boolean(err)
+  && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+
+// Wraps a zustand persist storage. When a save doesn't fit, the oldest entries of the
+// `trimKeys` lists (in that order) are dropped one at a time until it does, and
+// onTrim({ state, dropped, saved }) reports what went: `dropped` counts entries per key,
+// `saved` is false if the state didn't fit even with every list emptied.
+export const createQuotaSafeStorage = (storage, trimKeys, onTrim) => ({
+  getItem: (name) => storage.getItem(name),
+  removeItem: (name) => storage.removeItem(name),
+  setItem: (name, value) => {
+    let { state } = value;
+    const dropped = {};
+    const hasEntries = (current) => (key) => current[key]?.length > 0;
+    for (;;) {
+      try {
+        storage.setItem(name, { ...value, state });
+        break;
+      } catch (err) {
+        if (!isQuotaError(err)) throw err;
+        const key = trimKeys.find(hasEntries(state));
+        if (!key) {
+          onTrim({ state, dropped, saved: false });
+          return;
+        }
+        state = { ...state, [key]: state[key].slice(1) };
+        dropped[key] = (dropped[key] || 0) + 1;
+      }
+    }
+    if (Object.keys(dropped).length > 0) onTrim({ state, dropped, saved: true });
+  },
+});
@@ -0,0 +1,66 @@
+import { isQuotaError, createQuotaSafeStorage } from './quotaStorage';
+
+const quotaError = () => new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+
+// A storage that holds values as JSON and refuses anything longer than `limit` characters.
+const limitedStorage = (limit) => {
+  const items = {};
+  return {
+    items,
+    getItem: (name) => items[name] ?? null,
+    removeItem: (name) => { delete items[name]; },
+    setItem: (name, value) => {
+      const text = JSON.stringify(value);
+      if (text.length > limit) throw quotaError();
+      items[name] = text;
+    },
+  };
+};
+
+const attempt = (id) => ({ id, answeredQuestions: ['x'.repeat(100)] });
+
+const saveWith = (limit, state) => {
+  const storage = limitedStorage(limit);
+  const reports = [];
+  createQuotaSafeStorage(storage, ['attempts', 'importedAttempts'], report => reports.push(report))
+    .setItem('session', { state, version: 2 });
+  return { saved: storage.getItem('session') && JSON.parse(storage.getItem('session')), reports };
+};
+
+test('isQuotaError recognises quota errors from every browser', () => {
+  expect(isQuotaError(quotaError())).toBe(true);
+  expect(isQuotaError({ name: 'NS_ERROR_DOM_QUOTA_REACHED' })).toBe(true);
+  expect(isQuotaError(new TypeError('x'))).toBe(false);
+  expect(isQuotaError(undefined)).toBe(false);
+});
+
+test('saves untouched and reports nothing while there is room', () => {
+  const state = { attempts: [attempt('a1')], importedAttempts: [] };
+  const { saved, reports } = saveWith(10000, state);
+  expect(saved).toEqual({ state, version: 2 });
+  expect(reports).toEqual([]);
+});
+
+test('drops the oldest attempts, then imported ones, until the state fits', () => {
+  const state = { attempts: ['a1', 'a2', 'a3'].map(attempt), importedAttempts: ['i1', 'i2'].map(attempt), memory: {} };
+  const oneAttempt = JSON.stringify(attempt('a1')).length;
+  const { saved, reports } = saveWith(JSON.stringify({ state, version: 2 }).length - 2 * oneAttempt, state);
+  expect(saved.state.attempts.map(a => a.id)).toEqual(['a3']);
+  expect(saved.state.importedAttempts.map(a => a.id)).toEqual(['i1', 'i2']);
+  expect(reports).toEqual([{ state: saved.state, dropped: { attempts: 2 }, saved: true }]);
+
+  const { saved: emptied, reports: [report] } = saveWith(JSON.stringify({ state, version: 2 }).length - 4 * oneAttempt, state);
+  expect(emptied.state).toMatchObject({ attempts: [], importedAttempts: [attempt('i2')] });
+  expect(report.dropped).toEqual({ attempts: 3, importedAttempts: 1 });
+});
+
+test('reports a state that will not fit even with every list emptied, without throwing', () => {
+  const { saved, reports } = saveWith(10, { attempts: [attempt('a1')], importedAttempts: [] });
+  expect(saved).toBeNull();
+  expect(reports).toEqual([expect.objectContaining({ dropped: { attempts: 1 }, saved: false })]);
+});
+
+test('other storage errors are not swallowed', () => {
+  const storage = { setItem: () => { throw new TypeError('broken'); } };
+  expect(() => createQuotaSafeStorage(storage, ['attempts'], () => {}).setItem('session', { state: { attempts: [] } })).toThrow('broken');
+});
@@ -0,0 +1,48 @@
+// --- Seeded shuffles: utils/seededRandom.js ---
+// Quizzes are drawn with a seeded generator, so the same seed and the same question
+// pool always give the same quiz. The seed goes in the quiz link to regenerate it.
+
+const UINT32 = 2 ** 32;
+
+// Seeds are whole numbers from 0 to 2^32 - 1.
+export const newSeed = () => Math.floor(Math.random() * UINT32);
+
+export const parseSeed = (text) => {
+  const trimmed = String(text ?? '').trim();
+  if (!/^\d{1,10}$/.test(trimmed)) return null;
+  const seed = Number(trimmed);
+  return seed < UINT32 ? seed : null;
+};
+
+// mulberry32: returns a function giving the next 32-bit unsigned integer.
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+  };
+};
+
+// A whole number below n with every value equally likely: draws from the uneven
+// top end of the 32-bit range are thrown away rather than folded in by the modulo.
+const randomBelow = (random, n) => {
+  const limit = UINT32 - (UINT32 % n);
+  let value = random();
+  while (value >= limit) value = random();
+  return value % n;
+};
+
+// Fisher–Yates on a copy; the input is left in its order.
+export const shuffle = (items, random) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = randomBelow(random, i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+export const seededShuffle = (items, seed) => shuffle(items, createRandom(seed));
@@ -0,0 +1,33 @@
+import { parseSeed, createRandom, shuffle, seededShuffle } from './seededRandom';
+
+const items = Array.from({ length: 20 }, (_, i) => i);
+
+test('the same seed always gives the same order', () => {
+  expect(seededShuffle(items, 42)).toEqual(seededShuffle(items, 42));
+  expect(seededShuffle(items, 42)).not.toEqual(seededShuffle(items, 43));
+});
+
+test('shuffles a copy and keeps every item', () => {
+  const original = [...items];
+  const shuffled = seededShuffle(items, 7);
+  expect(items).toEqual(original);
+  expect([...shuffled].sort((a, b) => a - b)).toEqual(original);
+});
+
+test('every position is equally likely', () => {
+  // Where the first of four items ends up, over many seeds
+  const positions = [0, 0, 0, 0];
+  const random = createRandom(2024);
+  for (let i = 0; i < 8000; i++) positions[shuffle(['a', 'b', 'c', 'd'], random).indexOf('a')]++;
+  positions.forEach(count => expect(Math.abs(count - 2000)).toBeLessThan(150));
+});
+
+test('parseSeed accepts whole numbers in the 32-bit range only', () => {
+  expect(parseSeed(' 123 ')).toBe(123);
+  expect(parseSeed('0')).toBe(0);
+  expect(parseSeed('4294967295')).toBe(4294967295);
+  expect(parseSeed('4294967296')).toBeNull();
+  expect(parseSeed('12.5')).toBeNull();
+  expect(parseSeed('')).toBeNull();
+  expect(parseSeed(null)).toBeNull();
+});
@@ -0,0 +1,79 @@
+// --- Spaced repetition: utils/spacedRepetition.js ---
+// A per-question SM-2 memory model. Each submitted answer is graded as a review:
+// correct answers push the next review further out, wrong ones bring it back to tomorrow.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+
+export const newCard = () => ({
+  repetitions: 0,
+  intervalDays: 0,
+  easeFactor: 2.5,
+  dueAt: 0,
+  lapses: 0,
+  reviews: 0,
+  lastReviewedAt: null,
+});
+
+// SM-2 with a binary grade: 5 for a correct answer, 1 for a wrong one.
+export const reviewCard = (card = newCard(), isCorrect, now = Date.now()) => {
+  const quality = isCorrect ? 5 : 1;
+  const easeFactor = Math.max(MIN_EASE, card.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+
+  let repetitions;
+  let intervalDays;
+  if (isCorrect) {
+    repetitions = card.repetitions + 1;
+    if (repetitions === 1) intervalDays = 1;
+    else if (repetitions === 2) intervalDays = 6;
+    else intervalDays = Math.round(card.intervalDays * easeFactor);
+  } else {
+    repetitions = 0;
+    intervalDays = 1;
+  }
+
+  return {
+    repetitions,
+    intervalDays,
+    easeFactor,
+    dueAt: now + intervalDays * DAY_MS,
+    lapses: card.lapses + (isCorrect ? 0 : 1),
+    reviews: card.reviews + 1,
+    lastReviewedAt: now,
+  };
+};
+
+export const isDue = (card, now = Date.now()) => Boolean(card) && card.dueAt <= now;
+
+// Weak cards have been missed before and haven't yet been answered correctly twice in a row.
+export const isWeak = (card) => Boolean(card) && card.lapses > 0 && card.repetitions < 2;
+
+// Mastered cards have been answered correctly three times in a row, which puts the
+// next review a couple of weeks out.
+export const isMastered = (card) => Boolean(card) && card.repetitions >= 3;
+
+// Due questions first (most overdue first), then weak ones (lowest ease first).
+// Questions that have never been answered aren't part of a review.
+export const selectReviewQuestions = (questions, memory, now = Date.now()) => {
+  const due = [];
+  const weak = [];
+  questions.forEach((q) => {
+    const card = memory[q.id];
+    if (isDue(card, now)) due.push(q);
+    else if (isWeak(card)) weak.push(q);
+  });
+  due.sort((a, b) => memory[a.id].dueAt - memory[b.id].dueAt);
+  weak.sort((a, b) => memory[a.id].easeFactor - memory[b.id].easeFactor);
+  return [...due, ...weak];
+};
+
+export const summarizeDue = (questions, memory, now = Date.now()) => {
+  const byCategory = {};
+  let total = 0;
+  questions.forEach((q) => {
+    if (!isDue(memory[q.id], now)) return;
+    total++;
+    byCategory[q.category] = (byCategory[q.category] || 0) + 1;
+  });
+  return { total, byCategory };
+};
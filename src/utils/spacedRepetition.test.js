@@ -0,0 +1,64 @@
+import { newCard, reviewCard, isDue, isWeak, isMastered, selectReviewQuestions, summarizeDue } from './spacedRepetition';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = Date.UTC(2026, 9, 19);
+
+// Reviews a new card with each grade in turn, a day apart.
+const review = (...grades) => grades.reduce((card, correct, i) => reviewCard(card, correct, now + i * DAY_MS), newCard());
+
+describe('reviewCard', () => {
+  test('correct answers step the interval 1 day, 6 days, then by the ease factor', () => {
+    const first = reviewCard(undefined, true, now);
+    expect(first).toMatchObject({ repetitions: 1, intervalDays: 1, easeFactor: 2.6, dueAt: now + DAY_MS, reviews: 1, lastReviewedAt: now });
+    const second = reviewCard(first, true, now);
+    expect(second).toMatchObject({ repetitions: 2, intervalDays: 6, dueAt: now + 6 * DAY_MS });
+    expect(second.easeFactor).toBeCloseTo(2.7);
+    const third = reviewCard(second, true, now);
+    expect(third).toMatchObject({ repetitions: 3, intervalDays: Math.round(6 * 2.8) });
+    expect(third.easeFactor).toBeCloseTo(2.8);
+  });
+
+  test('a wrong answer starts over from tomorrow and lowers the ease', () => {
+    const lapsed = reviewCard(review(true, true, true), false, now);
+    expect(lapsed).toMatchObject({ repetitions: 0, intervalDays: 1, dueAt: now + DAY_MS, lapses: 1, reviews: 4 });
+    expect(lapsed.easeFactor).toBeCloseTo(2.8 - 0.54);
+  });
+
+  test('the ease never drops below 1.3', () => {
+    expect(review(false, false, false, false, false).easeFactor).toBe(1.3);
+  });
+});
+
+test('isDue, isWeak and isMastered read the card', () => {
+  const missed = review(false);
+  expect(isDue(missed, now)).toBe(false);
+  expect(isDue(missed, now + DAY_MS)).toBe(true);
+  expect(isDue(undefined, now)).toBe(false);
+  expect(isWeak(missed)).toBe(true);
+  expect(isWeak(review(false, true, true))).toBe(false);
+  expect(isMastered(review(true, true, true))).toBe(true);
+  expect(isMastered(review(true, true, false))).toBe(false);
+});
+
+describe('due questions', () => {
+  const questions = ['a', 'b', 'c', 'd', 'e', 'f'].map((id, i) => ({ id, category: i < 3 ? 'Futures' : 'Options' }));
+  const memory = {
+    a: { ...newCard(), dueAt: now - DAY_MS, repetitions: 2 }, // Due yesterday
+    b: { ...newCard(), dueAt: now + 3 * DAY_MS, lapses: 1, easeFactor: 1.8 }, // Weak, not due
+    c: { ...newCard(), dueAt: now - 5 * DAY_MS, repetitions: 1 }, // Most overdue
+    d: { ...newCard(), dueAt: now + DAY_MS, lapses: 2, easeFactor: 1.4 }, // Weakest
+    e: { ...newCard(), dueAt: now + 10 * DAY_MS, repetitions: 3 }, // Mastered
+    // f has never been answered
+  };
+
+  test('selectReviewQuestions puts the most overdue first, then weak ones by ease', () => {
+    expect(selectReviewQuestions(questions, memory, now).map(q => q.id)).toEqual(['c', 'a', 'd', 'b']);
+    expect(selectReviewQuestions(questions, {}, now)).toEqual([]);
+  });
+
+  test('summarizeDue counts due questions overall and per category', () => {
+    expect(summarizeDue(questions, memory, now)).toEqual({ total: 2, byCategory: { Futures: 2 } });
+    expect(summarizeDue(questions, memory, now + 2 * DAY_MS)).toEqual({ total: 3, byCategory: { Futures: 2, Options: 1 } });
+    expect(summarizeDue(questions, {}, now)).toEqual({ total: 0, byCategory: {} });
+  });
+});
@@ -0,0 +1,144 @@
+// --- Question bank validation: utils/validateQuestions.js ---
+// Checks every record against the format QuestionCard, the topic stats and the
+// palette rely on. Errors make a record unusable; warnings are imported anyway.
+// Case records are expanded here, question by question, so an issue points at the
+// record in the file and, inside a case, at the question's position in it.
+
+import { QUESTION_TYPES, MULTI_SCORING, expandQuestionRecords } from './questionTypes';
+
+const isBlank = (value) => typeof value !== 'string' || value.trim() === '';
+
+// Reports an answer that isn't one of the options, pointing out near misses.
+const checkOption = (value, options, error) => {
+  if (options.includes(value)) return;
+  const nearMatch = typeof value === 'string' && options.find(o => typeof o === 'string' && o.trim().toLowerCase() === value.trim().toLowerCase());
+  error('answer', nearMatch
+    ? `Answer "${value}" differs from option "${nearMatch}" only in case or spacing.`
+    : `Answer "${value}" is not one of the options.`);
+};
+
+const checkOptions = (options, error, warning) => {
+  if (!Array.isArray(options) || options.length === 0) {
+    error('options', 'options must be a non-empty array.');
+    return false;
+  }
+  if (options.length < 2) error('options', 'At least two options are required.');
+  if (options.some(isBlank)) error('options', 'Options must be non-empty strings.');
+  if (new Set(options).size !== options.length) warning('options', 'Contains duplicate options.');
+  return true;
+};
+
+const validateRecord = (record, index, position, seenIds) => {
+  const issues = [];
+  const at = position === undefined ? { index } : { index, position };
+  const error = (field, message) => issues.push({ ...at, field, severity: 'error', message });
+  const warning = (field, message) => issues.push({ ...at, field, severity: 'warning', message });
+
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    error('record', 'Record is not an object.');
+    return issues;
+  }
+
+  const { id, type = 'single', question, options, answer, category, subCategory, explanation } = record;
+
+  if (id === undefined || id === null || String(id).trim() === '') {
+    error('id', 'Missing id.');
+  } else if (typeof id !== 'string' && typeof id !== 'number') {
+    error('id', 'id must be a string or a number.');
+  } else if (seenIds.has(String(id))) {
+    error('id', `Duplicate id "${id}" (first used by record ${seenIds.get(String(id)) + 1}).`);
+  } else {
+    seenIds.set(String(id), index);
+  }
+
+  if (isBlank(question)) error('question', 'Missing question text.');
+
+  if (!QUESTION_TYPES.includes(type)) {
+    error('type', `Unknown question type "${type}". Use one of: ${QUESTION_TYPES.join(', ')}.`);
+  } else if (type === 'numeric') {
+    if (typeof answer !== 'number' || !Number.isFinite(answer)) error('answer', 'A numeric question needs a number as its answer.');
+    const { tolerance } = record;
+    if (tolerance !== undefined && (typeof tolerance !== 'number' || !(tolerance >= 0))) {
+      error('tolerance', 'tolerance must be a number of zero or more.');
+    }
+  } else if (type === 'multi') {
+    if (checkOptions(options, error, warning)) {
+      if (!Array.isArray(answer) || answer.length === 0) {
+        error('answer', 'A multi-select question needs an array of one or more correct options.');
+      } else {
+        answer.forEach(value => checkOption(value, options, error));
+        if (new Set(answer).size !== answer.length) warning('answer', 'Lists the same correct option twice.');
+      }
+    }
+    if (record.scoring !== undefined && !MULTI_SCORING.includes(record.scoring)) {
+      error('scoring', `scoring must be one of: ${MULTI_SCORING.join(', ')}.`);
+    }
+  } else {
+    if (type === 'assertion-reason') {
+      if (isBlank(record.assertion)) error('assertion', 'Missing assertion text.');
+      if (isBlank(record.reason)) error('reason', 'Missing reason text.');
+    }
+    if (checkOptions(options, error, warning)) {
+      if (isBlank(answer)) error('answer', 'Missing answer.');
+      else checkOption(answer, options, error);
+    }
+  }
+
+  if (record.caseId !== undefined && isBlank(record.passage)) error('passage', 'Case questions need the shared passage.');
+
+  if (isBlank(category)) error('category', 'Missing category.');
+  if (isBlank(subCategory)) error('subCategory', 'Missing subCategory.');
+  if (isBlank(explanation)) warning('explanation', 'No explanation provided.');
+
+  return issues;
+};
+
+const countBy = (records, key) => records.reduce((counts, r) => {
+  counts[r[key]] = (counts[r[key]] || 0) + 1;
+  return counts;
+}, {});
+
+// Returns the questions that have no errors, every issue found (with the 0-based index
+// of its record in the file, its 0-based position for a question in a case, and the
+// field) and a summary of what would be imported. total counts questions, not records.
+export const validateQuestions = (records) => {
+  if (!Array.isArray(records)) {
+    return {
+      valid: [],
+      issues: [{ index: null, field: 'file', severity: 'error', message: 'Expected an array of questions.' }],
+      summary: { total: 0, validCount: 0, errorCount: 1, warningCount: 0, byCategory: {}, byPaper: {} },
+    };
+  }
+
+  const seenIds = new Map();
+  const issues = [];
+  const valid = [];
+  let total = 0;
+
+  records.forEach((record, index) => {
+    const isCase = Boolean(record) && record.type === 'case';
+    if (isCase && (!Array.isArray(record.questions) || record.questions.length === 0)) {
+      issues.push({ index, field: 'questions', severity: 'error', message: 'A case needs an array of one or more questions.' });
+      return;
+    }
+    expandQuestionRecords([record]).forEach((question) => {
+      total++;
+      const questionIssues = validateRecord(question, index, isCase ? question.casePosition : undefined, seenIds);
+      issues.push(...questionIssues);
+      if (!questionIssues.some(i => i.severity === 'error')) valid.push(question);
+    });
+  });
+
+  return {
+    valid,
+    issues,
+    summary: {
+      total,
+      validCount: valid.length,
+      errorCount: issues.filter(i => i.severity === 'error').length,
+      warningCount: issues.filter(i => i.severity === 'warning').length,
+      byCategory: countBy(valid, 'category'),
+      byPaper: countBy(valid, 'subCategory'),
+    },
+  };
+};
@@ -0,0 +1,8 @@
+// Compiled into the bundle by react-scripts, so styles don't depend on a CDN at runtime.
+module.exports = {
+  content: ['./src/**/*.js', './public/index.html'],
+  theme: {
+    extend: {},
+  },
+  plugins: [require('@tailwindcss/typography')],
+};